@@ -1,8 +1,29 @@
 // UI Layer - Handles all DOM manipulation and connects to AudioRecorder
 
+// Scripted recognition results for trying the pipeline without a speech engine (input language: English)
+// Only offered for testing and development: open the app with ?scripted in the URL
+const SCRIPTED_RECOGNITION_ENABLED = new URLSearchParams(window.location.search).has("scripted");
+const SCRIPTED_RECOGNITION_DEMO = [
+  { text: "Hello, nice to meet you", confidence: 0.92, interim: ["Hello", "Hello, nice to"] },
+  { text: "Where is the train station?", confidence: 0.48, alternatives: [{ text: "Where is the rain station?", confidence: 0.31 }] },
+  { error: "no-speech", delayMs: 2000 },
+  { text: "Thank you very much", confidence: 0.88 },
+];
+
+// One microphone stream and audio context shared by signal detection and the local ASR backend
+const audioInput = new AudioInputManager();
+
+// Speech recognition engines - the transcriber listens through the selected one
+const recognizerBackends = [
+  WebSpeechBackend.isSupported() ? new WebSpeechBackend() : null,
+  StreamingAsrBackend.isSupported() ? new StreamingAsrBackend({ endpoint: localStorage.getItem("recognizerEndpoint") || undefined, audioInput }) : null,
+  SCRIPTED_RECOGNITION_ENABLED ? new ScriptedBackend({ script: SCRIPTED_RECOGNITION_DEMO }) : null,
+].filter(Boolean);
+const savedRecognizerBackend = recognizerBackends.find((backend) => backend.id === localStorage.getItem("recognizerBackend"));
+
 // Initialize translator and transcriber
 const translator = new TranslationService();
-const transcriber = new SpeechTranscriber();
+const transcriber = new SpeechTranscriber({ backend: savedRecognizerBackend || recognizerBackends[0] });
 
 // Update info in UI
 if (typeof INFO !== "undefined" && document.getElementById("versionText")) {
@@ -18,25 +39,103 @@ if (typeof INFO !== "undefined" && document.getElementById("versionText")) {
 
 // DOM Elements
 const inputLangSelect = document.getElementById("inputLang");
-const outputLangSelect = document.getElementById("outputLang");
-const voiceSelect = document.getElementById("voiceSelect");
+const outputLangListEl = document.getElementById("outputLangList");
+const providerSelect = document.getElementById("providerSelect");
+const providerEndpointInput = document.getElementById("providerEndpoint");
+const recognizerSelect = document.getElementById("recognizerSelect");
+const recognizerEndpointInput = document.getElementById("recognizerEndpoint");
+const phrasebookModeSelect = document.getElementById("phrasebookMode");
+const backTranslateToggle = document.getElementById("backTranslateToggle");
 const statusEl = document.getElementById("status");
 const statusText = document.getElementById("statusText");
+const statusActionBtn = document.getElementById("statusAction");
 const timerEl = document.getElementById("timer");
 const startBtn = document.getElementById("startBtn");
+const continuousBtn = document.getElementById("continuousBtn");
+const pushToTalkBtn = document.getElementById("pushToTalkBtn");
+const pushToTalkKeyBtn = document.getElementById("pushToTalkKeyBtn");
+const liveTranscriptEl = document.getElementById("liveTranscript");
+const typedInputEl = document.getElementById("typedInput");
+const translateTextBtn = document.getElementById("translateTextBtn");
+const hypothesisPickerEl = document.getElementById("hypothesisPicker");
 const levelCanvas = document.getElementById("levelCanvas");
+const cacheStatsEl = document.getElementById("cacheStats");
+const conversationToggle = document.getElementById("conversationToggle");
+const conversationStateEl = document.getElementById("conversationState");
+const conversationAttributionSelect = document.getElementById("conversationAttribution");
+const nextSpeakerEl = document.getElementById("nextSpeaker");
+const cleanupToggle = document.getElementById("cleanupToggle");
+const cleanupStateEl = document.getElementById("cleanupState");
+const cleanupRuleLangSelect = document.getElementById("cleanupRuleLang");
+const cleanupRuleFindInput = document.getElementById("cleanupRuleFind");
+const cleanupRuleReplaceInput = document.getElementById("cleanupRuleReplace");
+const cleanupRuleListEl = document.getElementById("cleanupRuleList");
+const glossaryPairEl = document.getElementById("glossaryPair");
+const glossaryTargetLangSelect = document.getElementById("glossaryTargetLang");
+const glossarySourceInput = document.getElementById("glossarySource");
+const glossaryTargetInput = document.getElementById("glossaryTarget");
+const glossaryListEl = document.getElementById("glossaryList");
+const clearCacheLink = document.getElementById("clearCacheLink");
+const fileSection = document.getElementById("fileSection");
+const asrEndpointInput = document.getElementById("asrEndpoint");
+const audioFileInput = document.getElementById("audioFileInput");
+const transcribeFileBtn = document.getElementById("transcribeFileBtn");
+const cancelFileBtn = document.getElementById("cancelFileBtn");
 
 // Mic Signal Detector UI Elements
 const micStatusEl = document.getElementById("micStatus");
 const audioLevelBar = document.getElementById("audioLevelBar");
 const audioLevelText = document.getElementById("audioLevelText");
 
+// Microphone Selection UI Elements
+const micDeviceSelect = document.getElementById("micDeviceSelect");
+const micDeviceNote = document.getElementById("micDeviceNote");
+
+// Chosen microphone, remembered between sessions
+const microphoneDevices = new MicrophoneDevices();
+let microphoneSwitch = Promise.resolve(); // Device switches in progress, one after another
+let microphoneSwitchId = 0; // Latest requested switch; older queued ones are skipped
+
 // Mic Signal Detector instance (will be initialized later)
 let micSignalDetector = null;
+let micCalibration = null;
+
+// Detector settings used until the room is calibrated
+const MIC_DEFAULT_SETTINGS = { signalThreshold: 15, debounceMs: 200, snrThresholdDb: 8 };
+
+// Mic Calibration UI Elements
+const calibrationActiveEl = document.getElementById("calibrationActive");
+const calibrationProfileSelect = document.getElementById("calibrationProfileSelect");
+const calibrationNameInput = document.getElementById("calibrationName");
+const calibrationStartBtn = document.getElementById("calibrationStartBtn");
+const calibrationCancelBtn = document.getElementById("calibrationCancelBtn");
+const calibrationStepEl = document.getElementById("calibrationStep");
+const calibrationResultEl = document.getElementById("calibrationResult");
+let calibrationAbortController = null;
+
+// Back-translation scores below this are flagged as low confidence
+const BACK_TRANSLATION_THRESHOLD = 0.5;
+
+// Transcripts recognized below this confidence are highlighted and offer their other hypotheses
+const RECOGNITION_CONFIDENCE_THRESHOLD = 0.6;
+// How long the hypothesis picker waits before translating the best guess
+const HYPOTHESIS_PICK_TIMEOUT_MS = 6000;
+let cancelHypothesisPick = null;
+
+// Playback and continuous-segment queues keep speech and history in order
+let speechQueue = Promise.resolve();
+let transcriptQueue = Promise.resolve();
+
+// Uploaded files are recognized by a transcription server (the Web Speech API only hears the microphone)
+const fileRecognizer = new HttpFileRecognizer({ endpoint: localStorage.getItem("asrEndpoint") || undefined });
+transcriber.fileRecognizer = fileRecognizer;
 
 // Auto-start recording feature
 let autoStartEnabled = true; // Toggle for auto-start on mic detection
 
+// Push-to-talk: records only while the key or Start button is held, and takes precedence over auto-start
+const pushToTalk = new PushToTalk();
+
 // Make translator and transcriber global for onclick handlers
 window.translator = translator;
 window.transcriber = transcriber;
@@ -51,6 +150,27 @@ const LANG_MAP = {
   th: "th-TH",
 };
 
+// Display names for language codes
+const LANG_NAMES = {
+  vi: "Vietnamese",
+  en: "English",
+  zh: "Chinese",
+  ja: "Japanese",
+  ko: "Korean",
+  th: "Thai",
+};
+
+// Auto-detect input language: speech recognition still needs a locale, so it follows the
+// last detected language and each transcript is re-checked by the local detector
+const languageDetector = new LanguageDetector({ languages: Object.keys(LANG_MAP) });
+let autoRecognitionLocale = LANG_MAP[(navigator.language || "").split("-")[0]] || "vi-VN";
+
+// Cleans recognizer output (fillers, stutters, casing, punctuation) before translation
+const transcriptPostProcessor = new TranscriptPostProcessor();
+
+// Two-party conversation: each utterance is translated into the other person's language
+const conversation = new Conversation();
+
 // Map language to test phrase
 const TEST_PHRASES = {
   vi: "Xin chào",
@@ -66,9 +186,11 @@ const TEST_PHRASES = {
 // ============================================
 
 /**
- * Add text to transcription history list with both input and output
+ * Add an item to the top of the transcription history list
+ * @param {string} title - Timestamp or file name shown in bold
+ * @returns {HTMLElement}
  */
-function addToTranscriptionList(inputText, outputText) {
+function createHistoryItem(title) {
   const listContainer = document.getElementById("transcriptionList");
 
   // Clear "No transcriptions yet" message on first item
@@ -81,10 +203,10 @@ function addToTranscriptionList(inputText, outputText) {
   item.style.cssText = "padding: 8px; border-bottom: 1px solid #eee; background: #fafafa; border-radius: 4px; margin-bottom: 6px; word-break: break-word;";
 
   // Add timestamp
-  const timestamp = new Date().toLocaleTimeString();
-  item.innerHTML = `<strong style="color: #667eea;">${timestamp}</strong><br>
-                    <span style="color: #555; display: block; margin-top: 4px;"><strong>Input:</strong> ${inputText}</span>
-                    <span style="color: #888; display: block; margin-top: 4px;"><strong>Output:</strong> ${outputText}</span>`;
+  const timestamp = document.createElement("strong");
+  timestamp.style.color = "#667eea";
+  timestamp.textContent = title;
+  item.appendChild(timestamp);
 
   // Add to beginning of list
   listContainer.insertBefore(item, listContainer.firstChild);
@@ -93,62 +215,577 @@ function addToTranscriptionList(inputText, outputText) {
   while (listContainer.children.length > 20) {
     listContainer.removeChild(listContainer.lastChild);
   }
+
+  return item;
+}
+
+/**
+ * Append an input and its translations to a history item
+ * @param {HTMLElement} item - History item from createHistoryItem
+ * @param {Object} context - { sourceLang, detection?, label?, recognition?, raw? } label is shown before the input (e.g., a file timestamp);
+ *   raw is the transcript before post-processing, shown when it differs from the input
+ * @returns {HTMLElement} - The entry, used to attach back-translation results
+ */
+function appendTranscriptEntry(item, inputText, translations, { sourceLang, detection, label, recognition, raw }) {
+  const entry = document.createElement("div");
+
+  if (label) {
+    entry.style.cssText = "margin-top: 6px; padding-top: 4px; border-top: 1px dashed #e0e0e0;";
+    entry.appendChild(createHistoryLine(label, "", "#667eea"));
+  }
+
+  const confidence = typeof recognition?.confidence === "number" ? ` (${Math.round(recognition.confidence * 100)}%)` : "";
+  if (raw) {
+    entry.appendChild(createHistoryLine("Heard:", raw + confidence, "#999"));
+    entry.appendChild(createHistoryLine("Input:", inputText, "#555"));
+  } else {
+    entry.appendChild(createHistoryLine("Input:", inputText + confidence, "#555"));
+  }
+
+  // Uncertain transcripts are highlighted with what else the recognizer heard
+  if (isLowConfidence(recognition)) {
+    entry.style.borderLeft = "3px solid #f08c00";
+    entry.style.paddingLeft = "6px";
+    const others = recognition.alternatives.map((alternative) => alternative.text).filter((text) => text !== (raw || inputText));
+    const note = recognition.chosen ? `you picked this over "${recognition.original}"` : others.length > 0 ? `also heard: ${others.map((text) => `"${text}"`).join(", ")}` : "no other hypotheses";
+    entry.appendChild(createHistoryLine("⚠️ Low recognition confidence:", note, "#e67700"));
+  }
+
+  if (detection) {
+    entry.appendChild(createHistoryLine("Detected:", `${LANG_NAMES[detection.lang] || detection.lang} (${Math.round(detection.confidence * 100)}%)`, "#667eea"));
+  }
+  translations.forEach(({ targetLang, result, voice }) => {
+    entry.appendChild(createTranslationOutput(inputText, result, { sourceLang, targetLang, voice }));
+  });
+
+  item.appendChild(entry);
+  return entry;
+}
+
+/**
+ * Create the output part of a history item: translation, failure details and alternatives
+ */
+function createTranslationOutput(inputText, result, { sourceLang, targetLang, voice = getSelectedVoice(targetLang) }) {
+  const output = document.createElement("div");
+  output.dataset.targetLang = targetLang;
+
+  if (!result.ok) {
+    // Failed translations are shown clearly and never spoken
+    output.style.cssText = "background: #ffebee; border-radius: 4px; padding: 2px 4px; margin-top: 4px;";
+    output.appendChild(createHistoryLine(`${LANG_NAMES[targetLang]} failed:`, `${result.error} (${result.attempts} attempt(s))`, "#c62828"));
+
+    // Report which chunks of a long transcript failed
+    (result.chunks || [])
+      .filter((chunk) => !chunk.ok)
+      .forEach((chunk) => {
+        output.appendChild(createHistoryLine(`Chunk ${chunk.index + 1}/${result.chunks.length}:`, `${chunk.error} — "${chunk.source}"`, "#c62828"));
+      });
+    return output;
+  }
+
+  const outputLine = createHistoryLine(`Output (${LANG_NAMES[targetLang]}):`, result.text, "#888");
+  output.appendChild(outputLine);
+
+  // Mark results served from the offline phrasebook
+  if (result.phrasebook) {
+    // A fuzzy match translates a similar phrase, so show which one
+    const { exact, score, phrase } = result.phrasebook;
+    const match = exact ? "exact match" : `fuzzy match (${Math.round(score * 100)}%) for "${phrase}"`;
+    const reason = result.fallbackError ? `, translation provider failed: ${result.fallbackError}` : "";
+    output.appendChild(createHistoryLine("📖 Phrasebook:", `${match}${reason}`, "#f08c00"));
+  }
+
+  // Ranked alternatives - picking one re-speaks it and remembers it for this input
+  const alternatives = (result.alternatives || []).filter((alternative) => alternative.text !== result.text);
+  if (alternatives.length > 0) {
+    const alternativesRow = document.createElement("div");
+    alternativesRow.style.cssText = "display: flex; flex-wrap: wrap; gap: 4px; margin-top: 4px;";
+
+    [{ text: result.text, score: null, source: "current" }, ...alternatives].forEach((alternative) => {
+      const chip = document.createElement("button");
+      chip.className = "alternative-chip";
+      chip.title = `Source: ${alternative.source}`;
+      chip.textContent = alternative.score !== null ? `${alternative.text} (${Math.round(alternative.score * 100)}%)` : alternative.text;
+      chip.classList.toggle("selected", alternative.text === result.text);
+
+      chip.addEventListener("click", async () => {
+        outputLine.querySelector(".history-value").textContent = alternative.text;
+        alternativesRow.querySelectorAll(".alternative-chip").forEach((other) => other.classList.toggle("selected", other === chip));
+        translator.setPreferredTranslation(inputText, sourceLang, targetLang, alternative.text);
+
+        try {
+          await playSpeechWithVoice(alternative.text, LANG_MAP[targetLang] || targetLang, voice);
+        } catch (error) {
+          console.error("Error playing alternative:", error);
+        }
+      });
+
+      alternativesRow.appendChild(chip);
+    });
+
+    output.appendChild(alternativesRow);
+  }
+
+  return output;
+}
+
+/**
+ * Back-translate a result and show its confidence on the history entry
+ */
+async function verifyTranslation(historyEntry, inputText, translatedText, sourceLang, targetLang) {
+  const output = historyEntry.querySelector(`[data-target-lang="${targetLang}"]`);
+  const line = createHistoryLine("🔁 Back-translation:", "checking...", "#999");
+  output.appendChild(line);
+
+  const check = await translator.backTranslate(inputText, translatedText, sourceLang, targetLang, BACK_TRANSLATION_THRESHOLD);
+  const valueEl = line.querySelector(".history-value");
+
+  if (!check.ok) {
+    valueEl.textContent = `unavailable (${check.error})`;
+    return;
+  }
+
+  valueEl.textContent = `${check.text} — ${Math.round(check.score * 100)}% similar`;
+  if (check.lowConfidence) {
+    line.style.color = "#c62828";
+    line.querySelector("strong").textContent = "⚠️ Low confidence:";
+    output.style.borderLeft = "3px solid #ef5350";
+    output.style.paddingLeft = "6px";
+  } else {
+    line.style.color = "#2e7d32";
+  }
+}
+
+/**
+ * Create a labelled line for a history item
+ */
+function createHistoryLine(label, text, color) {
+  const line = document.createElement("span");
+  line.style.cssText = `color: ${color}; display: block; margin-top: 4px;`;
+
+  const labelEl = document.createElement("strong");
+  labelEl.textContent = label;
+
+  const valueEl = document.createElement("span");
+  valueEl.className = "history-value";
+  valueEl.textContent = text;
+
+  line.append(labelEl, " ", valueEl);
+
+  return line;
 }
 
 /**
  * Trigger auto-start recording when mic detects signal
  */
 async function triggerAutoStart() {
-  if (autoStartEnabled && !transcriber.isTranscribing) {
+  // Calibration asks the user to talk - that must not start a recording
+  if (autoStartEnabled && !pushToTalk.enabled && !micCalibration?.isRunning && !transcriber.isTranscribing) {
     console.log("🎤 Mic detected! Auto-starting recording...");
     await handleStartRecording();
   }
 }
 
-async function handleStartRecording() {
+/**
+ * Record one utterance, then translate and speak it
+ * @param {Object} options - { holdOpen } keep recording until transcriber.stop() (push-to-talk release)
+ */
+async function handleStartRecording({ holdOpen = false } = {}) {
+  // The continuous session already owns the recognizer
+  if (transcriber.isContinuous) return;
+
   console.log("📍 Starting mic capture from app.js");
 
-  const inputLangFull = inputLangSelect.value; // vi-VN, en-US, etc
-  const inputLang = inputLangFull.split("-")[0]; // vi, en, zh, etc
+  const inputLangFull = getRecognitionLocale(); // vi-VN, en-US, etc
 
   try {
     // Wait for transcription from microphone
-    const transcribedText = await transcriber.fromMicrophone(inputLangFull);
+    const recognized = await transcriber.fromMicrophone(inputLangFull, { detailed: true, holdOpen });
 
-    if (!transcribedText) {
+    if (!recognized.text) {
       throw new Error("No text transcribed");
     }
 
-    console.log("Text captured:", transcribedText);
+    console.log("Text captured:", recognized.text);
 
-    // Get output language
-    const outputLang = outputLangSelect.value;
+    // Let the user correct an uncertain transcript before it is translated
+    const recognition = await chooseHypothesis(recognized);
 
-    const outputLangFull_TTS = LANG_MAP[outputLang] || outputLang;
+    // Translate, add to history and wait until every translation has been spoken
+    const { spoken } = await processTranscript(recognition.text, inputLangFull, { recognition });
+    await spoken;
 
-    // Translate
-    const translatedText = await translator.translateText(transcribedText, inputLang, outputLang);
+    console.log("✓ Translation and speech complete");
+  } catch (error) {
+    console.error("Error during transcription:", error);
+    if (error instanceof TranscriptionError) {
+      showTranscriptionError(error, handleStartRecording);
+    }
+  }
+}
 
-    // Add both input and output to transcription list
-    addToTranscriptionList(transcribedText, translatedText);
+/**
+ * Whether a recognition result should be flagged as uncertain
+ * @param {Object} recognition - { confidence } from the transcriber (null when not reported)
+ */
+function isLowConfidence(recognition) {
+  return typeof recognition?.confidence === "number" && recognition.confidence < RECOGNITION_CONFIDENCE_THRESHOLD;
+}
 
-    // Get selected voice name
-    const selectedVoiceName = voiceSelect.value;
+/**
+ * Offer the other hypotheses of a low-confidence transcript; the best guess is used after a timeout
+ * @param {Object} recognized - { text, confidence, alternatives } from the transcriber
+ * @returns {Promise<Object>} - { text, confidence, alternatives, original, chosen } the hypothesis to translate
+ */
+function chooseHypothesis(recognized) {
+  const result = { ...recognized, original: recognized.text, chosen: false };
+  if (!isLowConfidence(recognized) || recognized.alternatives.length < 2) {
+    return Promise.resolve(result);
+  }
 
-    // Play speech and wait for completion
-    await playSpeechWithVoice(translatedText, outputLangFull_TTS, selectedVoiceName);
+  // Only one picker at a time - a newer transcript accepts the pending best guess
+  cancelHypothesisPick?.();
 
-    console.log("✓ Translation and speech complete");
+  return new Promise((resolve) => {
+    const finish = (alternative) => {
+      clearTimeout(timeout);
+      cancelHypothesisPick = null;
+      hypothesisPickerEl.style.display = "none";
+      hypothesisPickerEl.innerHTML = "";
+      resolve(alternative ? { ...result, text: alternative.text, confidence: alternative.confidence, chosen: alternative.text !== recognized.text } : result);
+    };
+    const timeout = setTimeout(() => finish(null), HYPOTHESIS_PICK_TIMEOUT_MS);
+    cancelHypothesisPick = () => finish(null);
+
+    hypothesisPickerEl.innerHTML = "";
+    const title = document.createElement("div");
+    title.style.cssText = "flex-basis: 100%; font-size: 13px; color: #e67700; margin-bottom: 2px;";
+    title.textContent = `⚠️ Not sure what was said (${Math.round(recognized.confidence * 100)}%). Pick what you meant:`;
+    hypothesisPickerEl.appendChild(title);
+
+    recognized.alternatives.forEach((alternative, index) => {
+      const chip = document.createElement("button");
+      chip.className = "alternative-chip";
+      chip.classList.toggle("selected", index === 0);
+      chip.textContent = alternative.confidence !== null ? `${alternative.text} (${Math.round(alternative.confidence * 100)}%)` : alternative.text;
+      chip.addEventListener("click", () => finish(alternative));
+      hypothesisPickerEl.appendChild(chip);
+    });
+
+    hypothesisPickerEl.style.display = "flex";
+  });
+}
+
+/**
+ * Locale passed to speech recognition: the next speaker's in conversation mode, else the selected input language
+ * (the last detected one in auto mode)
+ */
+function getRecognitionLocale() {
+  if (conversation.enabled) {
+    return LANG_MAP[conversation.getListeningLang()];
+  }
+  return inputLangSelect.value === "auto" ? autoRecognitionLocale : inputLangSelect.value;
+}
+
+/**
+ * Translate a transcript into every output language, add it to history and queue it for speech
+ * @param {string} transcribedText - Text to translate
+ * @param {string} recognitionLocale - Locale the text was recognized in (vi-VN, en-US, etc)
+ * @param {Object} options - { speak, historyItem, label, recognition, postProcess } append to an existing history item instead of a new one;
+ *   recognition is the transcriber's { confidence, alternatives } result, shown with the input;
+ *   postProcess: false translates the text exactly as given (typed input)
+ * @returns {Promise<Object>} - { historyItem, spoken } resolved once translated; spoken resolves after playback
+ */
+async function processTranscript(transcribedText, recognitionLocale, { speak = true, historyItem = null, label = null, recognition = null, postProcess = true } = {}) {
+  // Live speech in conversation mode goes to the other party; file transcripts keep the normal layout
+  if (conversation.enabled && !historyItem) {
+    return processConversationTurn(transcribedText, { speak, recognition, postProcess });
+  }
+
+  let inputLang = recognitionLocale.split("-")[0]; // vi, en, zh, etc
+
+  // Guess the spoken language and listen in that language next time
+  let detection = null;
+  if (inputLangSelect.value === "auto") {
+    detection = languageDetector.detect(transcribedText);
+    inputLang = detection.lang;
+    autoRecognitionLocale = LANG_MAP[inputLang] || autoRecognitionLocale;
+    console.log(`✓ Detected language: ${inputLang} (${Math.round(detection.confidence * 100)}%)`);
+  }
+
+  // Clean up fillers, casing and punctuation before translating; the raw transcript stays in history
+  const { text: inputText, raw } = cleanTranscript(transcribedText, inputLang, postProcess);
+
+  // Get output languages
+  const outputLangs = getSelectedOutputLangs();
+  if (outputLangs.length === 0) {
+    throw new Error("No output language selected");
+  }
+
+  // Translate into every output language in parallel
+  const results = await Promise.all(outputLangs.map((outputLang) => translator.translateText(inputText, inputLang, outputLang)));
+  const translations = outputLangs.map((targetLang, index) => ({ targetLang, result: results[index] }));
+
+  // Add input and all outputs to transcription list as one entry
+  const item = historyItem || createHistoryItem(new Date().toLocaleTimeString());
+  const entry = appendTranscriptEntry(item, inputText, translations, { sourceLang: inputLang, detection, label, recognition, raw });
+  updateCacheStats();
+
+  // Check translations in the background while they are spoken
+  if (backTranslateToggle.checked) {
+    translations
+      .filter(({ targetLang, result }) => result.ok && targetLang !== inputLang)
+      .forEach(({ targetLang, result }) => verifyTranslation(entry, inputText, result.text, inputLang, targetLang));
+  }
+
+  if (!speak) {
+    return { historyItem: item, spoken: Promise.resolve() };
+  }
+
+  // Speak each translation in turn with its own voice, after anything already queued
+  const spoken = enqueueSpeech(async () => {
+    for (const { targetLang, result } of translations) {
+      // Don't read the untranslated source aloud as if it were the translation
+      if (!result.ok) continue;
+
+      // One failing voice shouldn't silence the languages after it
+      try {
+        await playSpeechWithVoice(result.text, LANG_MAP[targetLang] || targetLang, getSelectedVoice(targetLang));
+      } catch (error) {
+        console.warn(`⚠️ Could not speak the ${LANG_NAMES[targetLang] || targetLang} translation:`, error);
+      }
+    }
+  });
+
+  return { historyItem: item, spoken };
+}
+
+/**
+ * Run the post-processing stage between recognition and translation
+ * @param {string} text - Transcript
+ * @param {string} lang - Its language code
+ * @param {boolean} postProcess - false keeps the text as is
+ * @returns {Object} - { text, raw } raw is the original transcript, or null when cleanup changed nothing
+ */
+function cleanTranscript(text, lang, postProcess) {
+  if (!postProcess) {
+    return { text, raw: null };
+  }
+
+  const cleaned = transcriptPostProcessor.process(text, lang);
+  if (cleaned.changed) {
+    console.log(`✓ Cleaned transcript: ${cleaned.text}`);
+  }
+  return { text: cleaned.text, raw: cleaned.changed ? cleaned.raw : null };
+}
+
+/**
+ * Attribute an utterance to a party, translate it into the other party's language and speak it in their voice
+ * @param {string} transcribedText - Text to translate
+ * @param {Object} options - { speak, recognition, postProcess } as for processTranscript
+ * @returns {Promise<Object>} - { historyItem, spoken }
+ */
+async function processConversationTurn(transcribedText, { speak = true, recognition = null, postProcess = true } = {}) {
+  const turn = conversation.attribute(transcribedText, languageDetector);
+  updateConversationState();
+  console.log(`✓ Person ${turn.speaker} (${turn.sourceLang}) → Person ${turn.listener} (${turn.targetLang})`);
+
+  const { text: inputText, raw } = cleanTranscript(transcribedText, turn.sourceLang, postProcess);
+  const result = await translator.translateText(inputText, turn.sourceLang, turn.targetLang);
+  const voice = document.getElementById(`party${turn.listener}Voice`).value;
+
+  // Chat bubble: Person A on the left, Person B on the right
+  const item = createHistoryItem(`${new Date().toLocaleTimeString()} · Person ${turn.speaker} (${LANG_NAMES[turn.sourceLang]})`);
+  item.classList.add("chat-bubble", `party-${turn.speaker.toLowerCase()}`);
+  item.style.background = "";
+  item.style.borderRadius = "";
+
+  const translations = [{ targetLang: turn.targetLang, result, voice }];
+  const entry = appendTranscriptEntry(item, inputText, translations, { sourceLang: turn.sourceLang, detection: turn.detection, recognition, raw });
+  updateCacheStats();
+
+  if (backTranslateToggle.checked && result.ok && turn.sourceLang !== turn.targetLang) {
+    verifyTranslation(entry, inputText, result.text, turn.sourceLang, turn.targetLang);
+  }
+
+  if (!speak || !result.ok) {
+    return { historyItem: item, spoken: Promise.resolve() };
+  }
+
+  const spoken = enqueueSpeech(() => playSpeechWithVoice(result.text, LANG_MAP[turn.targetLang], voice));
+  return { historyItem: item, spoken };
+}
+
+/**
+ * Run speech playback after previously queued playback finishes (playSpeechWithVoice cancels ongoing speech)
+ */
+function enqueueSpeech(play) {
+  const playback = speechQueue.then(play);
+  speechQueue = playback.catch((error) => console.error("Error during speech playback:", error));
+  return playback;
+}
+
+/**
+ * Translate the typed text through the same pipeline as speech
+ */
+async function handleTypedInput() {
+  translateTextBtn.disabled = true;
+
+  try {
+    // Keep exactly what was typed - no trimming or re-joining of lines
+    const { text } = await transcriber.fromText(typedInputEl.value, { detailed: true });
+    await processTranscript(text, getRecognitionLocale(), { postProcess: false });
+    typedInputEl.value = "";
   } catch (error) {
-    console.error("Error during transcription:", error);
+    console.error("Error translating typed text:", error);
+    onStatusChanged(error.message, "error");
+    typedInputEl.focus();
+  } finally {
+    translateTextBtn.disabled = false;
+  }
+}
+
+/**
+ * Toggle continuous transcription: segments are translated while the speaker keeps talking
+ */
+function toggleContinuous() {
+  if (transcriber.isContinuous) {
+    transcriber.stopContinuous();
+  } else {
+    try {
+      transcriber.startContinuous(getRecognitionLocale());
+    } catch (error) {
+      console.error("Error starting continuous transcription:", error);
+      showTranscriptionError(error, toggleContinuous);
+      return;
+    }
+  }
+
+  updateContinuousButton();
+  console.log("Continuous transcription:", transcriber.isContinuous ? "ENABLED" : "DISABLED");
+}
+
+/**
+ * Reflect the transcriber's continuous state in the controls
+ */
+function updateContinuousButton() {
+  continuousBtn.dataset.active = transcriber.isContinuous;
+  continuousBtn.style.background = transcriber.isContinuous ? "#51cf66" : "#ccc";
+  continuousBtn.textContent = transcriber.isContinuous ? "Continuous: ON" : "Continuous: OFF";
+  startBtn.disabled = transcriber.isContinuous;
+  if (!transcriber.isContinuous) {
+    liveTranscriptEl.style.display = "none";
   }
 }
 
+// Errors without a pending promise: continuous mode and the startup permission request
+transcriber.addEventListener("error", ({ detail: { error } }) => {
+  const continuousEnded = continuousBtn.dataset.active === "true" && !transcriber.isContinuous;
+  updateContinuousButton();
+  showTranscriptionError(error, continuousEnded ? toggleContinuous : handleStartRecording);
+});
+
+// Show interim text as it is recognized
+transcriber.addEventListener("interim", ({ detail: { text } }) => {
+  liveTranscriptEl.style.display = text ? "block" : "none";
+  liveTranscriptEl.textContent = text;
+});
+
+// Feed each finalized segment into translation in order, while listening continues
+transcriber.addEventListener("final", ({ detail }) => {
+  const recognitionLocale = transcriber.recognition.lang;
+  transcriptQueue = transcriptQueue
+    .then(async () => {
+      const recognition = await chooseHypothesis(detail);
+      await processTranscript(recognition.text, recognitionLocale, { recognition });
+      // Follow auto-detected language switches and conversation turns on the next recognition session
+      if (inputLangSelect.value === "auto" || conversation.enabled) {
+        transcriber.recognition.lang = getRecognitionLocale();
+      }
+    })
+    .catch((error) => console.error("Error processing segment:", error));
+});
+
 function handleStopRecording() {
   console.log("📍 Stopping mic capture from app.js");
   transcriber.stop();
 }
 
+/**
+ * Toggle push-to-talk mode
+ */
+function togglePushToTalk() {
+  pushToTalk.setEnabled(!pushToTalk.enabled);
+  updatePushToTalkButtons();
+  console.log("Push-to-talk:", pushToTalk.enabled ? "ENABLED" : "DISABLED");
+  const keyName = PushToTalk.keyLabel(pushToTalk.key);
+  onStatusChanged(pushToTalk.enabled ? `Push-to-talk enabled - hold ${keyName} or the Start button to talk (auto-start paused)` : "Push-to-talk disabled", "active");
+}
+
+/**
+ * Reflect push-to-talk state in the controls
+ */
+function updatePushToTalkButtons() {
+  const keyName = PushToTalk.keyLabel(pushToTalk.key);
+  pushToTalkBtn.style.background = pushToTalk.enabled ? "#51cf66" : "#ccc";
+  pushToTalkBtn.textContent = pushToTalk.enabled ? "Push-to-Talk: ON" : "Push-to-Talk: OFF";
+  pushToTalkKeyBtn.textContent = keyName;
+
+  if (!pushToTalk.enabled) {
+    startBtn.textContent = "Start Recording";
+  } else {
+    startBtn.textContent = pushToTalk.isHeld ? "Release to Translate" : `Hold to Talk (${keyName})`;
+  }
+}
+
+// Push-to-talk: record while held, stop and translate on release
+pushToTalk.addEventListener("press", () => {
+  if (transcriber.isContinuous) {
+    onStatusChanged("Push-to-talk is unavailable during continuous transcription", "info");
+    return;
+  }
+  updatePushToTalkButtons();
+  handleStartRecording({ holdOpen: true });
+});
+
+pushToTalk.addEventListener("release", ({ detail: { reason } }) => {
+  updatePushToTalkButtons();
+  if (transcriber.isContinuous) return;
+
+  transcriber.stop();
+  if (reason === "max-duration") {
+    onStatusChanged(`Maximum push-to-talk length (${pushToTalk.maxDurationMs / 1000}s) reached - translating`, "info");
+  }
+});
+
+// In push-to-talk mode the Start button records while held instead of on click
+startBtn.addEventListener("click", () => {
+  if (!pushToTalk.enabled) {
+    handleStartRecording();
+  }
+});
+pushToTalk.attachButton(startBtn);
+
+// Choose the push-to-talk key: the next key pressed (Escape cancels)
+pushToTalkKeyBtn.addEventListener("click", () => {
+  pushToTalkKeyBtn.textContent = "Press a key...";
+
+  const captureKey = (event) => {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    window.removeEventListener("keydown", captureKey, true);
+
+    if (event.code !== "Escape") {
+      pushToTalk.setKey(event.code);
+      console.log("✓ Push-to-talk key:", event.code);
+    }
+    updatePushToTalkButtons();
+  };
+  window.addEventListener("keydown", captureKey, true);
+});
+
+updatePushToTalkButtons();
+
 /**
  * Toggle auto-start recording feature
  */
@@ -167,11 +804,56 @@ function toggleAutoStart() {
 function onStatusChanged(message, type) {
   statusText.textContent = message;
   statusEl.className = "status " + type;
+  statusActionBtn.style.display = "none";
 }
 
-// Share status with translator and transcriber
-translator.onStatusChanged = onStatusChanged;
-transcriber.onStatusChanged = onStatusChanged;
+// Recovery action offered in the status bar for each TranscriptionError code
+const TRANSCRIPTION_RECOVERY_ACTIONS = {
+  "no-speech": { label: "Try again" },
+  "permission-denied": { label: "I've allowed the microphone" },
+  network: { label: "Retry" },
+  "audio-capture": { label: "Retry" },
+  unknown: { label: "Retry" },
+  unsupported: {
+    label: "Transcribe a file instead",
+    run: () => {
+      fileSection.open = true;
+      fileSection.scrollIntoView({ behavior: "smooth" });
+      asrEndpointInput.focus();
+    },
+  },
+};
+
+/**
+ * Show a transcription error with its recovery action
+ * @param {Error} error - TranscriptionError (other errors are shown without an action)
+ * @param {Function} retry - Repeats whatever failed
+ */
+function showTranscriptionError(error, retry) {
+  // Cancelling is the user's own choice - nothing to recover from
+  if (error.code === "aborted") {
+    onStatusChanged(error.message, "active");
+    return;
+  }
+
+  onStatusChanged(error.message, "error");
+
+  const action = TRANSCRIPTION_RECOVERY_ACTIONS[error.code];
+  if (!action) return;
+
+  statusActionBtn.textContent = action.label;
+  statusActionBtn.onclick = () => {
+    statusActionBtn.style.display = "none";
+    (action.run || retry)();
+  };
+  statusActionBtn.style.display = "inline-block";
+}
+
+// Show status from translator and transcriber
+const showStatusEvent = ({ detail: { message, type } }) => onStatusChanged(message, type);
+translator.addEventListener("status", showStatusEvent);
+transcriber.addEventListener("status", showStatusEvent);
+audioInput.addEventListener("status", showStatusEvent);
 
 // Update button state when recording starts
 function onRecordingStarted() {
@@ -187,21 +869,191 @@ function onRecordingEnded() {
 // DOM Event Listeners
 // ============================================
 
-// Update voice dropdown and list when output language changes
-outputLangSelect.addEventListener("change", () => {
-  // Update voice dropdown
-  populateVoiceDropdown();
+// Typed input: Enter adds a line, Ctrl/Cmd+Enter sends
+translateTextBtn.addEventListener("click", handleTypedInput);
+typedInputEl.addEventListener("keydown", (event) => {
+  if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+    event.preventDefault();
+    handleTypedInput();
+  }
+});
+
+// Glossary is per language pair
+inputLangSelect.addEventListener("change", renderGlossary);
+glossaryTargetLangSelect.addEventListener("change", renderGlossary);
+
+// Add glossary term (empty translation = do-not-translate term)
+document.getElementById("glossaryAddBtn").addEventListener("click", () => {
+  const source = glossarySourceInput.value.trim();
+  const target = glossaryTargetInput.value.trim();
+  if (!source) return;
+
+  const { sourceLang, targetLang } = getGlossaryPair();
+  if (target) {
+    translator.glossary.addTerm(sourceLang, targetLang, source, target);
+  } else {
+    translator.glossary.addProtected(sourceLang, targetLang, source);
+  }
+
+  glossarySourceInput.value = "";
+  glossaryTargetInput.value = "";
+  renderGlossary();
+});
+
+// Export glossary
+document.getElementById("glossaryExportJson").addEventListener("click", (event) => {
+  event.preventDefault();
+  downloadTextFile("glossary.json", translator.glossary.exportJSON(), "application/json");
+});
+
+document.getElementById("glossaryExportCsv").addEventListener("click", (event) => {
+  event.preventDefault();
+  downloadTextFile("glossary.csv", translator.glossary.exportCSV(), "text/csv");
+});
+
+// Import glossary from CSV or JSON file
+document.getElementById("glossaryImport").addEventListener("change", async (event) => {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    const content = await file.text();
+    const count = file.name.toLowerCase().endsWith(".json") ? translator.glossary.importJSON(content) : translator.glossary.importCSV(content);
+    onStatusChanged(`Imported ${count} glossary entries`, "success");
+    renderGlossary();
+  } catch (error) {
+    console.error("❌ Glossary import error:", error);
+    onStatusChanged("Glossary import failed: " + error.message, "error");
+  } finally {
+    event.target.value = "";
+  }
+});
+
+// Switch translation provider at runtime
+providerSelect.addEventListener("change", () => {
+  translator.setProvider(providerSelect.value);
+  localStorage.setItem("translationProvider", providerSelect.value);
+  updateProviderEndpointInput();
+  onStatusChanged(`Translation provider: ${translator.getProvider().name}`, "active");
+});
+
+// Remember back-translation preference
+backTranslateToggle.addEventListener("change", () => {
+  localStorage.setItem("backTranslate", backTranslateToggle.checked);
+});
+
+// Choose when the offline phrasebook is used
+phrasebookModeSelect.addEventListener("change", () => {
+  translator.phrasebookMode = phrasebookModeSelect.value;
+  localStorage.setItem("phrasebookMode", phrasebookModeSelect.value);
+});
+
+// Switch speech recognition engine at runtime
+recognizerSelect.addEventListener("change", () => {
+  const backend = recognizerBackends.find((candidate) => candidate.id === recognizerSelect.value);
+  transcriber.setBackend(backend);
+  localStorage.setItem("recognizerBackend", backend.id);
+  updateContinuousButton();
+  updateRecognizerEndpointInput();
+  updateMicrophoneNote();
+  onStatusChanged(`Speech recognition: ${backend.name}`, "active");
+});
+
+// Local ASR server address (ws:// streams PCM, http:// uploads each utterance)
+recognizerEndpointInput.addEventListener("change", () => {
+  const backend = transcriber.recognition;
+  if (backend?.setEndpoint && recognizerEndpointInput.value) {
+    backend.setEndpoint(recognizerEndpointInput.value);
+    localStorage.setItem("recognizerEndpoint", backend.endpoint);
+  }
+});
+
+// Update self-hosted endpoint for providers that have one
+providerEndpointInput.addEventListener("change", () => {
+  const provider = translator.getProvider();
+  if (provider.setEndpoint && providerEndpointInput.value) {
+    provider.setEndpoint(providerEndpointInput.value);
+    localStorage.setItem(`translationEndpoint:${provider.id}`, provider.endpoint);
+  }
+});
+
+// Clear translation cache
+clearCacheLink.addEventListener("click", async (event) => {
+  event.preventDefault();
+  await translator.cache.clear();
+  updateCacheStats();
+  onStatusChanged("Translation cache cleared", "active");
 });
 
-// Test voice when voice selection changes
-voiceSelect.addEventListener("change", () => {
-  const outputLang = outputLangSelect.value;
-  const selectedVoiceName = voiceSelect.value;
+// Transcription server for audio files
+asrEndpointInput.value = fileRecognizer.endpoint;
+asrEndpointInput.addEventListener("change", () => {
+  if (!asrEndpointInput.value) return;
+  fileRecognizer.setEndpoint(asrEndpointInput.value);
+  localStorage.setItem("asrEndpoint", fileRecognizer.endpoint);
+});
+
+// Transcribe an uploaded recording into one timestamped history item
+transcribeFileBtn.addEventListener("click", async () => {
+  const file = audioFileInput.files[0];
+  if (!file) {
+    onStatusChanged("Choose an audio file first", "error");
+    return;
+  }
+
+  transcribeFileBtn.disabled = true;
+  cancelFileBtn.style.display = "inline-block";
+
+  const recognitionLocale = getRecognitionLocale();
+  const historyItem = createHistoryItem(`📁 ${file.name}`);
+  let translationQueue = Promise.resolve();
+
+  try {
+    const segments = await transcriber.fromFile(file, {
+      language: inputLangSelect.value === "auto" ? "auto" : recognitionLocale,
+      // Translate each segment while the next one is being recognized
+      onSegment: ({ start, end, text }) => {
+        const label = `[${AudioFileUtils.formatTimestamp(start)} – ${AudioFileUtils.formatTimestamp(end)}]`;
+        translationQueue = translationQueue
+          .then(() => processTranscript(text, recognitionLocale, { speak: false, historyItem, label }))
+          .catch((error) => console.error("Error translating file segment:", error));
+      },
+    });
+
+    await translationQueue;
+    onStatusChanged(`Transcribed ${segments.length} segment(s) from ${file.name}`, "success");
+  } catch (error) {
+    await translationQueue;
+    historyItem.appendChild(createHistoryLine("Failed:", error.message, "#c62828"));
+    showTranscriptionError(error, () => transcribeFileBtn.click());
+  } finally {
+    transcribeFileBtn.disabled = false;
+    cancelFileBtn.style.display = "none";
+  }
+});
+
+cancelFileBtn.addEventListener("click", () => transcriber.cancelFile());
+
+// Enable/disable output languages
+outputLangListEl.addEventListener("change", (event) => {
+  const lang = event.target.dataset.lang;
+  if (!lang) return;
+
+  if (event.target.type === "checkbox") {
+    outputLangListEl.querySelector(`select[data-lang="${lang}"]`).disabled = !event.target.checked;
+    saveOutputLanguages();
+    return;
+  }
+
+  // Test voice when voice selection changes
+  const selectedVoiceName = event.target.value;
+  event.target.dataset.savedVoice = selectedVoiceName;
+  saveOutputLanguages();
 
   if (!selectedVoiceName) return;
 
-  const testPhrase = TEST_PHRASES[outputLang] || "Hello";
-  const outputLangFull = LANG_MAP[outputLang] || outputLang;
+  const testPhrase = TEST_PHRASES[lang] || "Hello";
+  const outputLangFull = LANG_MAP[lang] || lang;
 
   // Play test voice
   (async () => {
@@ -217,14 +1069,22 @@ voiceSelect.addEventListener("change", () => {
 // Request permission and load devices automatically when page loads
 document.addEventListener("DOMContentLoaded", async () => {
   try {
+    // Remembered microphone (or the default), followed while devices are plugged in and out
+    if (MicrophoneDevices.isSupported()) {
+      await microphoneDevices.start();
+    }
+    await audioInput.setDevice(microphoneDevices.selectedDeviceId);
+
     // Initialize Mic Signal Detector (includes audio setup)
     micSignalDetector = new MicSignalDetector({
-      signalThreshold: 15,
-      debounceMs: 200,
+      audioInput,
+      signalThreshold: MIC_DEFAULT_SETTINGS.signalThreshold,
+      debounceMs: MIC_DEFAULT_SETTINGS.debounceMs,
+      vad: { snrThresholdDb: MIC_DEFAULT_SETTINGS.snrThresholdDb },
     });
 
-    // Share status callback
-    micSignalDetector.onStatusChanged = onStatusChanged;
+    // Show detector status too
+    micSignalDetector.addEventListener("status", showStatusEvent);
 
     // Initialize audio
     const initialized = await micSignalDetector.initialize();
@@ -234,8 +1094,13 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     console.log("✓ Mic signal detector initialized");
 
+    // Device ids and labels are only listed once permission is granted
+    if (MicrophoneDevices.isSupported()) {
+      await microphoneDevices.refresh();
+    }
+
     // Setup callbacks for UI updates
-    micSignalDetector.onSignalStateChanged = (state) => {
+    micSignalDetector.addEventListener("signal", ({ detail: state }) => {
       if (state.hasSignal) {
         micStatusEl.textContent = "ON";
         micStatusEl.style.color = "#51cf66";
@@ -246,12 +1111,22 @@ document.addEventListener("DOMContentLoaded", async () => {
         micStatusEl.textContent = "OFF";
         micStatusEl.style.color = "#ff6b6b";
       }
-    };
+    });
 
-    micSignalDetector.onAudioLevelChanged = (level) => {
-      audioLevelBar.style.width = level + "%";
-      audioLevelText.textContent = level;
-    };
+    micSignalDetector.addEventListener("level", ({ detail: { audioLevel } }) => {
+      audioLevelBar.style.width = audioLevel + "%";
+      audioLevelText.textContent = audioLevel;
+    });
+
+    // Use this microphone's (or the last used) calibration profile
+    micCalibration = new MicCalibration(micSignalDetector);
+    micCalibration.addEventListener("progress", showCalibrationProgress);
+    const profileName = micCalibration.findProfileForCurrentDevice();
+    if (profileName) {
+      micCalibration.activate(profileName);
+    }
+    renderCalibrationProfiles();
+    calibrationStartBtn.disabled = false;
 
     // Start monitoring mic signal
     micSignalDetector.startMonitoring();
@@ -278,14 +1153,275 @@ document.addEventListener("DOMContentLoaded", async () => {
 });
 
 /**
- * Populate voice dropdown with voices for selected output language
+ * Fill the calibration profile dropdown and show the active profile
+ */
+function renderCalibrationProfiles() {
+  const { profiles, activeProfile } = micCalibration;
+
+  calibrationProfileSelect.innerHTML = `<option value="">Default (threshold ${MIC_DEFAULT_SETTINGS.signalThreshold})</option>`;
+  Object.entries(profiles).forEach(([name, profile]) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = `${name} (threshold ${profile.signalThreshold}, ${profile.debounceMs}ms)`;
+    calibrationProfileSelect.appendChild(option);
+  });
+
+  calibrationProfileSelect.value = activeProfile || "";
+  calibrationActiveEl.textContent = activeProfile ? `(${activeProfile})` : "";
+  calibrationNameInput.value = activeProfile || micCalibration.getDevice().label || "";
+}
+
+/**
+ * Record silence then speech, show the proposed settings and save them as a profile
+ */
+async function runCalibration() {
+  const name = calibrationNameInput.value.trim() || "Default microphone";
+  calibrationAbortController = new AbortController();
+  calibrationStartBtn.style.display = "none";
+  calibrationCancelBtn.style.display = "inline-block";
+  calibrationResultEl.textContent = "";
+
+  try {
+    const profile = await micCalibration.run({ signal: calibrationAbortController.signal });
+    const { silence, speech } = profile.stats;
+    const summary = `Background ${silence.median}–${silence.p95}, speech ${speech.p25}–${speech.median} → threshold ${profile.signalThreshold}, debounce ${profile.debounceMs}ms`;
+
+    if (profile.warning) {
+      calibrationStepEl.textContent = `⚠️ ${profile.warning}`;
+      calibrationResultEl.textContent = summary;
+      return;
+    }
+
+    micCalibration.saveProfile(name, profile);
+    micCalibration.apply(profile);
+    renderCalibrationProfiles();
+    calibrationStepEl.textContent = `✓ Saved "${name}"`;
+    calibrationResultEl.textContent = summary;
+    onStatusChanged(`Microphone calibrated for "${name}"`, "success");
+  } catch (error) {
+    calibrationStepEl.textContent = error.name === "AbortError" ? "Calibration cancelled" : `❌ ${error.message}`;
+  } finally {
+    calibrationAbortController = null;
+    calibrationStartBtn.style.display = "inline-block";
+    calibrationCancelBtn.style.display = "none";
+  }
+}
+
+calibrationStartBtn.addEventListener("click", runCalibration);
+calibrationCancelBtn.addEventListener("click", () => calibrationAbortController?.abort());
+
+/**
+ * Tell the user what to do during each calibration phase, with the time left
+ */
+function showCalibrationProgress({ detail: { phase, elapsedMs, durationMs } }) {
+  const secondsLeft = Math.max(0, Math.ceil((durationMs - elapsedMs) / 1000));
+  calibrationStepEl.textContent = phase === "silence" ? `🤫 Stay quiet... ${secondsLeft}s` : `🗣️ Now speak normally... ${secondsLeft}s`;
+}
+
+calibrationProfileSelect.addEventListener("change", () => {
+  if (calibrationProfileSelect.value) {
+    micCalibration.activate(calibrationProfileSelect.value);
+  } else {
+    useDefaultMicSettings();
+  }
+  renderCalibrationProfiles();
+});
+
+/**
+ * Stop using a calibration profile and go back to the detector defaults
+ */
+function useDefaultMicSettings() {
+  micCalibration.deactivate();
+  micSignalDetector.setSignalThreshold(MIC_DEFAULT_SETTINGS.signalThreshold);
+  micSignalDetector.setDebounceMs(MIC_DEFAULT_SETTINGS.debounceMs);
+  micSignalDetector.setVadOptions({ snrThresholdDb: MIC_DEFAULT_SETTINGS.snrThresholdDb });
+}
+
+document.getElementById("calibrationDeleteBtn").addEventListener("click", () => {
+  const name = calibrationProfileSelect.value;
+  if (!name) return;
+
+  micCalibration.deleteProfile(name);
+  calibrationProfileSelect.value = "";
+  calibrationProfileSelect.dispatchEvent(new Event("change"));
+});
+
+/**
+ * Fill the microphone dropdown; the remembered device stays listed while it is unplugged
+ */
+function renderMicrophoneDevices() {
+  const { devices, preferredDeviceId, preferredLabel, selectedDeviceId } = microphoneDevices;
+  micDeviceSelect.innerHTML = "";
+
+  const addOption = (deviceId, label, disabled = false) => {
+    const option = document.createElement("option");
+    option.value = deviceId;
+    option.textContent = label;
+    option.disabled = disabled;
+    micDeviceSelect.appendChild(option);
+  };
+
+  addOption("", microphoneDevices.getLabel(""));
+  devices
+    .filter((device) => device.deviceId)
+    .forEach((device, index) => addOption(device.deviceId, device.label || `Microphone ${index + 1}`));
+  if (preferredDeviceId && !devices.some((device) => device.deviceId === preferredDeviceId)) {
+    const missing = microphoneDevices.isPreferredMissing();
+    addOption(preferredDeviceId, `${preferredLabel || "Saved microphone"}${missing ? " (unplugged)" : ""}`, missing);
+  }
+
+  micDeviceSelect.value = selectedDeviceId;
+  updateMicrophoneNote();
+}
+
+/**
+ * Explain when the chosen microphone isn't the one being heard
+ */
+function updateMicrophoneNote() {
+  const notes = [];
+  if (microphoneDevices.isPreferredMissing()) {
+    notes.push(`⚠️ ${microphoneDevices.preferredLabel || "The chosen microphone"} is unplugged, using the system default until it is back.`);
+  }
+  // The Web Speech API has no way to pick a device
+  if (microphoneDevices.selectedDeviceId && transcriber.recognition?.id === "webspeech") {
+    notes.push("Browser speech recognition always listens to the system default microphone; this choice applies to signal detection.");
+  }
+
+  micDeviceNote.textContent = notes.join(" ");
+  micDeviceNote.style.display = notes.length > 0 ? "block" : "none";
+}
+
+/**
+ * Move every microphone consumer to the selected device
+ */
+async function switchMicrophone({ deviceId, label, reason }) {
+  renderMicrophoneDevices();
+
+  const messages = {
+    user: `Microphone: ${label}`,
+    disconnected: `Microphone unplugged, switched to ${label}`,
+    reconnected: `Microphone reconnected: ${label}`,
+    "default-changed": `Microphone changed: ${label}`,
+  };
+  onStatusChanged(messages[reason], reason === "disconnected" ? "error" : "active");
+
+  // devicechange often fires several times per plug: switch one at a time and skip superseded devices
+  const switchId = ++microphoneSwitchId;
+  microphoneSwitch = microphoneSwitch.then(async () => {
+    if (switchId !== microphoneSwitchId) return;
+
+    // Reopens the shared stream when it is in use; consumers stay connected
+    const switched = await audioInput.setDevice(deviceId);
+
+    // Each microphone keeps its own calibration; an uncalibrated one gets the defaults, not the last mic's profile
+    if (switched && micCalibration) {
+      const profileName = micCalibration.findProfileForCurrentDevice({ fallbackToActive: false });
+      if (profileName) {
+        micCalibration.activate(profileName);
+      } else {
+        useDefaultMicSettings();
+      }
+      renderCalibrationProfiles();
+    }
+  });
+  return microphoneSwitch;
+}
+
+microphoneDevices.addEventListener("devices", renderMicrophoneDevices);
+microphoneDevices.addEventListener("select", ({ detail }) => switchMicrophone(detail));
+micDeviceSelect.addEventListener("change", () => microphoneDevices.select(micDeviceSelect.value));
+
+/**
+ * Render one row per output language: enable checkbox and voice dropdown
+ */
+function renderOutputLanguages() {
+  const saved = loadOutputLanguages();
+
+  Object.keys(LANG_MAP).forEach((lang) => {
+    const row = document.createElement("div");
+    row.className = "output-lang-row";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.id = `outputLang-${lang}`;
+    checkbox.dataset.lang = lang;
+    checkbox.checked = saved.langs.includes(lang);
+
+    const label = document.createElement("label");
+    label.htmlFor = checkbox.id;
+    label.textContent = LANG_NAMES[lang];
+
+    const voiceSelect = document.createElement("select");
+    voiceSelect.dataset.lang = lang;
+    voiceSelect.dataset.savedVoice = saved.voices[lang] || "";
+    voiceSelect.disabled = !checkbox.checked;
+    voiceSelect.innerHTML = `<option value="">Loading voices...</option>`;
+
+    row.append(checkbox, label, voiceSelect);
+    outputLangListEl.appendChild(row);
+  });
+}
+
+renderOutputLanguages();
+
+/**
+ * Get enabled output language codes in display order
+ */
+function getSelectedOutputLangs() {
+  return Array.from(outputLangListEl.querySelectorAll("input[type=checkbox]:checked"), (checkbox) => checkbox.dataset.lang);
+}
+
+/**
+ * Get the voice name selected for an output language
+ */
+function getSelectedVoice(lang) {
+  return outputLangListEl.querySelector(`select[data-lang="${lang}"]`)?.value || "";
+}
+
+/**
+ * Enabled output languages and their voices saved by saveOutputLanguages()
+ * @returns {Object} - { langs, voices }; Chinese only when nothing usable is saved
+ */
+function loadOutputLanguages() {
+  const fallback = { langs: ["zh"], voices: {} };
+  try {
+    const saved = JSON.parse(localStorage.getItem("outputLanguages"));
+    const voicesValid = saved?.voices && typeof saved.voices === "object" && !Array.isArray(saved.voices);
+    return Array.isArray(saved?.langs) && voicesValid ? saved : fallback;
+  } catch (error) {
+    console.warn("⚠️ Could not load output languages:", error);
+    return fallback;
+  }
+}
+
+/**
+ * Remember enabled output languages and their voices
+ */
+function saveOutputLanguages() {
+  const voices = {};
+  outputLangListEl.querySelectorAll("select").forEach((select) => {
+    voices[select.dataset.lang] = select.value;
+  });
+  localStorage.setItem("outputLanguages", JSON.stringify({ langs: getSelectedOutputLangs(), voices }));
+}
+
+/**
+ * Populate every output language's and conversation party's voice dropdown
  */
 function populateVoiceDropdown() {
-  const outputLang = outputLangSelect.value; // Get short code: vi, en, zh, etc.
+  outputLangListEl.querySelectorAll("select").forEach(fillVoiceSelect);
+  ["A", "B"].forEach((party) => fillVoiceSelect(document.getElementById(`party${party}Voice`)));
+}
+
+/**
+ * Fill a voice dropdown with the voices for its data-lang and restore data-saved-voice
+ */
+function fillVoiceSelect(voiceSelect) {
+  const outputLang = voiceSelect.dataset.lang; // Short code: vi, en, zh, etc.
 
   const fullLang = LANG_MAP[outputLang] || outputLang;
 
-  // Get voices for selected language
+  // Get voices for this language
   const voicesByLanguage = translator.getVoicesByLanguage(fullLang);
 
   voiceSelect.innerHTML = "";
@@ -302,12 +1438,296 @@ function populateVoiceDropdown() {
     });
   }
 
-  // Select first voice by default
-  if (voiceSelect.options.length > 0) {
+  // Restore saved voice, otherwise select first voice by default
+  if (voicesByLanguage.some((voice) => voice.name === voiceSelect.dataset.savedVoice)) {
+    voiceSelect.value = voiceSelect.dataset.savedVoice;
+  } else if (voiceSelect.options.length > 0) {
     voiceSelect.selectedIndex = 0;
   }
 }
 
+/**
+ * Populate provider dropdown from registered translation providers and restore saved choice
+ */
+function populateProviderDropdown() {
+  translator.getProviders().forEach((provider) => {
+    const savedEndpoint = localStorage.getItem(`translationEndpoint:${provider.id}`);
+    if (savedEndpoint && provider.setEndpoint) {
+      provider.setEndpoint(savedEndpoint);
+    }
+
+    const option = document.createElement("option");
+    option.value = provider.id;
+    option.textContent = provider.name;
+    providerSelect.appendChild(option);
+  });
+
+  const savedProvider = localStorage.getItem("translationProvider");
+  if (savedProvider && translator.getProvider(savedProvider)) {
+    translator.setProvider(savedProvider);
+  }
+  providerSelect.value = translator.activeProviderId;
+  updateProviderEndpointInput();
+
+  translator.phrasebookMode = localStorage.getItem("phrasebookMode") || translator.phrasebookMode;
+  phrasebookModeSelect.value = translator.phrasebookMode;
+  backTranslateToggle.checked = localStorage.getItem("backTranslate") === "true";
+}
+
+/**
+ * Show endpoint input only for providers with a configurable endpoint
+ */
+function updateProviderEndpointInput() {
+  const provider = translator.getProvider();
+  const hasEndpoint = typeof provider.setEndpoint === "function";
+  providerEndpointInput.style.display = hasEndpoint ? "block" : "none";
+  providerEndpointInput.value = hasEndpoint ? provider.endpoint : "";
+}
+
+populateProviderDropdown();
+
+/**
+ * Fill the speech recognition engine dropdown
+ */
+function populateRecognizerDropdown() {
+  recognizerBackends.forEach((backend) => {
+    const option = document.createElement("option");
+    option.value = backend.id;
+    option.textContent = backend.name;
+    recognizerSelect.appendChild(option);
+  });
+
+  recognizerSelect.value = transcriber.recognition?.id || "";
+  updateRecognizerEndpointInput();
+}
+
+/**
+ * Show endpoint input only for engines with a configurable server
+ */
+function updateRecognizerEndpointInput() {
+  const backend = transcriber.recognition;
+  const hasEndpoint = typeof backend?.setEndpoint === "function";
+  recognizerEndpointInput.style.display = hasEndpoint ? "block" : "none";
+  recognizerEndpointInput.value = hasEndpoint ? backend.endpoint : "";
+}
+
+populateRecognizerDropdown();
+
+/**
+ * Fill both parties' language dropdowns and prepare their voice dropdowns
+ */
+function renderConversationSettings() {
+  ["A", "B"].forEach((party) => {
+    const langSelect = document.getElementById(`party${party}Lang`);
+    const voiceSelect = document.getElementById(`party${party}Voice`);
+    const { lang, voice } = conversation.parties[party];
+
+    Object.keys(LANG_MAP).forEach((code) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = LANG_NAMES[code];
+      langSelect.appendChild(option);
+    });
+    langSelect.value = lang;
+
+    voiceSelect.dataset.lang = lang;
+    voiceSelect.dataset.savedVoice = voice;
+    voiceSelect.innerHTML = `<option value="">Loading voices...</option>`;
+
+    langSelect.addEventListener("change", () => {
+      voiceSelect.dataset.lang = langSelect.value;
+      voiceSelect.dataset.savedVoice = "";
+      fillVoiceSelect(voiceSelect);
+      conversation.setParty(party, { lang: langSelect.value, voice: voiceSelect.value });
+      updateConversationState();
+    });
+
+    voiceSelect.addEventListener("change", () => {
+      voiceSelect.dataset.savedVoice = voiceSelect.value;
+      conversation.setParty(party, { voice: voiceSelect.value });
+    });
+  });
+
+  conversationToggle.checked = conversation.enabled;
+  conversationAttributionSelect.value = conversation.attribution;
+  updateConversationState();
+}
+
+/**
+ * Show whether conversation mode is on and whose turn it is
+ */
+function updateConversationState() {
+  const party = conversation.nextSpeaker;
+  conversationStateEl.textContent = conversation.enabled ? "(on)" : "";
+  nextSpeakerEl.textContent = `Person ${party} (${LANG_NAMES[conversation.parties[party].lang]})`;
+
+  // Listen in the next speaker's language from the next recognition session on
+  if (conversation.enabled && transcriber.recognition && !transcriber.recognitionActive) {
+    transcriber.recognition.lang = getRecognitionLocale();
+  }
+}
+
+conversationToggle.addEventListener("change", () => {
+  conversation.setEnabled(conversationToggle.checked);
+  updateConversationState();
+  console.log(`✓ Conversation mode ${conversation.enabled ? "on" : "off"}`);
+});
+
+conversationAttributionSelect.addEventListener("change", () => {
+  conversation.setAttribution(conversationAttributionSelect.value);
+});
+
+document.getElementById("switchSpeakerBtn").addEventListener("click", () => {
+  conversation.setNextSpeaker(Conversation.otherParty(conversation.nextSpeaker));
+  updateConversationState();
+});
+
+renderConversationSettings();
+
+/**
+ * Get the language pair the glossary editor applies to
+ */
+function getGlossaryPair() {
+  const inputLocale = inputLangSelect.value === "auto" ? autoRecognitionLocale : inputLangSelect.value;
+  return { sourceLang: inputLocale.split("-")[0], targetLang: glossaryTargetLangSelect.value };
+}
+
+/**
+ * Render glossary entries for the current language pair
+ */
+function renderGlossary() {
+  const { sourceLang, targetLang } = getGlossaryPair();
+  const entries = translator.glossary.getEntries(sourceLang, targetLang);
+
+  glossaryPairEl.textContent = `(${sourceLang} → ${targetLang})`;
+  glossaryListEl.innerHTML = "";
+
+  const rows = [
+    ...entries.terms.map((term) => ({ label: `${term.source} → ${term.target}`, remove: () => translator.glossary.removeTerm(sourceLang, targetLang, term.source) })),
+    ...entries.protected.map((term) => ({ label: `${term} (keep)`, remove: () => translator.glossary.removeProtected(sourceLang, targetLang, term) })),
+  ];
+
+  if (rows.length === 0) {
+    glossaryListEl.innerHTML = `<p style="color: #999;">No glossary terms for this language pair</p>`;
+    return;
+  }
+
+  rows.forEach((row) => {
+    const rowEl = document.createElement("div");
+    rowEl.style.cssText = "display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid #eee;";
+
+    const labelEl = document.createElement("span");
+    labelEl.textContent = row.label;
+
+    const removeLink = document.createElement("a");
+    removeLink.href = "#";
+    removeLink.textContent = "×";
+    removeLink.style.cssText = "color: #ff6b6b; text-decoration: none; font-weight: 600;";
+    removeLink.addEventListener("click", (event) => {
+      event.preventDefault();
+      row.remove();
+      renderGlossary();
+    });
+
+    rowEl.append(labelEl, removeLink);
+    glossaryListEl.appendChild(rowEl);
+  });
+}
+
+renderGlossary();
+
+/**
+ * Show transcript cleanup settings and replacement rules
+ */
+function renderCleanupSettings() {
+  cleanupToggle.checked = transcriptPostProcessor.enabled;
+  cleanupStateEl.textContent = transcriptPostProcessor.enabled ? "(on)" : "(off)";
+  document.querySelectorAll("#cleanupSteps input[data-step]").forEach((checkbox) => {
+    checkbox.checked = transcriptPostProcessor.steps[checkbox.dataset.step];
+    checkbox.disabled = !transcriptPostProcessor.enabled;
+  });
+
+  cleanupRuleListEl.innerHTML = "";
+  if (transcriptPostProcessor.rules.length === 0) {
+    cleanupRuleListEl.innerHTML = `<p style="color: #999;">No replacement rules</p>`;
+    return;
+  }
+
+  transcriptPostProcessor.rules.forEach((rule) => {
+    const rowEl = document.createElement("div");
+    rowEl.style.cssText = "display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid #eee;";
+
+    const labelEl = document.createElement("span");
+    const langName = rule.lang === "*" ? "All languages" : LANG_NAMES[rule.lang];
+    labelEl.textContent = `${rule.find} → ${rule.replace || "(remove)"} · ${langName}`;
+
+    const removeLink = document.createElement("a");
+    removeLink.href = "#";
+    removeLink.textContent = "×";
+    removeLink.style.cssText = "color: #ff6b6b; text-decoration: none; font-weight: 600;";
+    removeLink.addEventListener("click", (event) => {
+      event.preventDefault();
+      transcriptPostProcessor.removeRule(rule.lang, rule.find);
+      renderCleanupSettings();
+    });
+
+    rowEl.append(labelEl, removeLink);
+    cleanupRuleListEl.appendChild(rowEl);
+  });
+}
+
+cleanupRuleLangSelect.innerHTML = `<option value="*">All languages</option>`;
+Object.keys(LANG_MAP).forEach((lang) => {
+  const option = document.createElement("option");
+  option.value = lang;
+  option.textContent = LANG_NAMES[lang];
+  cleanupRuleLangSelect.appendChild(option);
+});
+
+cleanupToggle.addEventListener("change", () => {
+  transcriptPostProcessor.setEnabled(cleanupToggle.checked);
+  renderCleanupSettings();
+});
+
+document.querySelectorAll("#cleanupSteps input[data-step]").forEach((checkbox) => {
+  checkbox.addEventListener("change", () => transcriptPostProcessor.setStep(checkbox.dataset.step, checkbox.checked));
+});
+
+// Add replacement rule (empty replacement = remove the words)
+document.getElementById("cleanupRuleAddBtn").addEventListener("click", () => {
+  const find = cleanupRuleFindInput.value.trim();
+  if (!find) return;
+
+  transcriptPostProcessor.addRule(cleanupRuleLangSelect.value, find, cleanupRuleReplaceInput.value);
+  cleanupRuleFindInput.value = "";
+  cleanupRuleReplaceInput.value = "";
+  renderCleanupSettings();
+});
+
+renderCleanupSettings();
+
+/**
+ * Save text content as a file download
+ */
+function downloadTextFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Show translation cache hit/miss statistics
+ */
+function updateCacheStats() {
+  const stats = translator.getCacheStats();
+  cacheStatsEl.textContent = `Cache: ${stats.hits} hits / ${stats.misses} misses (${stats.entries} entries)`;
+}
+
+translator.cacheReady.then(updateCacheStats);
+
 /**
  * Play speech with a specific voice name - returns a Promise that resolves when playback completes
  */
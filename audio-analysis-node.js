@@ -0,0 +1,109 @@
+/**
+ * Audio Analysis Node - Level, peak and VAD features at frame rate, computed off the main thread
+ * Wraps an AudioWorkletNode running audio-analysis-processor.js. Unlike polling an AnalyserNode with
+ * setInterval or requestAnimationFrame, it isn't throttled in background tabs.
+ * Events: frame { level, peak, vad: { probability, isSpeech, energyDb, noiseFloorDb, zeroCrossingRate, flatness, spectralFlux }, time }
+ */
+
+// Worklet modules, in load order (the processor uses VoiceActivityDetector)
+const AUDIO_ANALYSIS_MODULES = ["voice-activity-detector.js", "audio-analysis-processor.js"];
+
+// Modules are loaded once per AudioContext
+const audioAnalysisModulesLoaded = new WeakMap();
+
+class AudioAnalysisNode extends TypedEventTarget {
+  /**
+   * Whether the browser can run the worklet for this context
+   */
+  static isSupported(audioContext) {
+    return typeof AudioWorkletNode !== "undefined" && Boolean(audioContext?.audioWorklet);
+  }
+
+  /**
+   * Create an analysis node fed by a source node
+   * @param {AudioContext} audioContext
+   * @param {AudioNode} source - e.g., a MediaStreamAudioSourceNode
+   * @param {Object} options - { frameSize, vad } see constructor
+   * @returns {Promise<AudioAnalysisNode|null>} - null when AudioWorklet is unavailable; callers keep polling an AnalyserNode
+   */
+  static async create(audioContext, source, options = {}) {
+    if (!AudioAnalysisNode.isSupported(audioContext)) {
+      console.warn("⚠️ AudioWorklet not supported, using AnalyserNode polling");
+      return null;
+    }
+
+    try {
+      if (!audioAnalysisModulesLoaded.has(audioContext)) {
+        audioAnalysisModulesLoaded.set(
+          audioContext,
+          AUDIO_ANALYSIS_MODULES.reduce((loaded, url) => loaded.then(() => audioContext.audioWorklet.addModule(url)), Promise.resolve())
+        );
+      }
+      await audioAnalysisModulesLoaded.get(audioContext);
+
+      return new AudioAnalysisNode(audioContext, source, options);
+    } catch (error) {
+      // e.g., pages opened from file:// can't load worklet modules
+      audioAnalysisModulesLoaded.delete(audioContext);
+      console.warn("⚠️ AudioWorklet analysis unavailable, using AnalyserNode polling:", error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {AudioContext} audioContext - Context whose worklet already has the modules loaded
+   * @param {AudioNode} source - Node to analyse
+   * @param {Object} options
+   * @param {number} options.frameSize - Samples per frame (default: 1024, ~21ms at 48kHz)
+   * @param {Object} options.vad - VoiceActivityDetector options (sampleRate comes from the context)
+   */
+  constructor(audioContext, source, { frameSize = 1024, vad = {} } = {}) {
+    super({
+      frame: { handler: "onFrame" },
+    });
+
+    this.source = source;
+    this.frameMs = (frameSize / audioContext.sampleRate) * 1000;
+
+    // No outputs: the browser pulls the node by itself and nothing reaches the speakers
+    this.node = new AudioWorkletNode(audioContext, "audio-analysis-processor", {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { frameSize, vad },
+    });
+    this.node.port.onmessage = ({ data }) => this.emit("frame", data);
+    source.connect(this.node);
+
+    console.log(`✓ AudioWorklet analysis started (${Math.round(this.frameMs)}ms frames)`);
+  }
+
+  /**
+   * Tune the worklet's voice activity detector (e.g., { snrThresholdDb })
+   */
+  setVadOptions(options) {
+    this.node.port.postMessage({ type: "vad-options", options });
+  }
+
+  /**
+   * Forget the VAD's noise floor and speech state
+   */
+  reset() {
+    this.node.port.postMessage({ type: "reset" });
+  }
+
+  /**
+   * Stop analysing and release the worklet
+   */
+  disconnect() {
+    this.node.port.postMessage({ type: "stop" });
+    this.node.port.onmessage = null;
+    try {
+      this.source.disconnect(this.node);
+    } catch (error) {
+      // Already disconnected (e.g., the context was closed)
+    }
+  }
+}
+
+// Export for use in HTML
+window.AudioAnalysisNode = AudioAnalysisNode;
@@ -0,0 +1,100 @@
+/**
+ * Audio Analysis Processor - AudioWorklet side of AudioAnalysisNode
+ * Runs on the audio thread and posts { level, peak, vad, time } for every frame.
+ * Loaded with audioWorklet.addModule() after voice-activity-detector.js, which it uses for the VAD features.
+ */
+
+// Same spectrum settings as the AnalyserNode the level used to come from, so thresholds keep their meaning
+const LEVEL_FFT_SIZE = 256;
+const LEVEL_MIN_DB = -100;
+const LEVEL_MAX_DB = -30;
+const LEVEL_SMOOTHING = 0.8;
+
+class AudioAnalysisProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.processorOptions - { frameSize, vad } samples per posted frame and VoiceActivityDetector options
+   */
+  constructor({ processorOptions = {} } = {}) {
+    super();
+
+    this.frameSize = processorOptions.frameSize || 1024;
+    this.frame = new Float32Array(this.frameSize);
+    this.frameFill = 0;
+    this.running = true;
+
+    // sampleRate is a global of the AudioWorkletGlobalScope
+    this.vad = new VoiceActivityDetector({ ...processorOptions.vad, sampleRate });
+
+    this.levelWindow = Float64Array.from({ length: LEVEL_FFT_SIZE }, (_, i) => 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / LEVEL_FFT_SIZE) + 0.08 * Math.cos((4 * Math.PI * i) / LEVEL_FFT_SIZE));
+    this.smoothedMagnitudes = new Float64Array(LEVEL_FFT_SIZE / 2);
+
+    this.port.onmessage = ({ data }) => {
+      if (data.type === "vad-options") {
+        Object.assign(this.vad, data.options);
+      } else if (data.type === "reset") {
+        this.vad.reset();
+      } else if (data.type === "stop") {
+        this.running = false;
+      }
+    };
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (channel) {
+      for (let i = 0; i < channel.length; i++) {
+        this.frame[this.frameFill++] = channel[i];
+        if (this.frameFill === this.frameSize) {
+          this._analyseFrame();
+          this.frameFill = 0;
+        }
+      }
+    }
+
+    // Returning false lets the browser drop the node after stop
+    return this.running;
+  }
+
+  _analyseFrame() {
+    let peak = 0;
+    for (let i = 0; i < this.frameSize; i++) {
+      peak = Math.max(peak, Math.abs(this.frame[i]));
+    }
+
+    this.port.postMessage({
+      level: this._level(),
+      peak,
+      vad: this.vad.processFrame(this.frame),
+      time: currentTime,
+    });
+  }
+
+  /**
+   * 0-100 level computed like RMS over AnalyserNode.getByteFrequencyData() of the latest samples
+   */
+  _level() {
+    const real = new Float64Array(LEVEL_FFT_SIZE);
+    const imag = new Float64Array(LEVEL_FFT_SIZE);
+    const offset = this.frameSize - LEVEL_FFT_SIZE;
+    for (let i = 0; i < LEVEL_FFT_SIZE; i++) {
+      real[i] = this.frame[offset + i] * this.levelWindow[i];
+    }
+    VoiceActivityDetector.fft(real, imag);
+
+    let sum = 0;
+    for (let k = 0; k < this.smoothedMagnitudes.length; k++) {
+      const magnitude = Math.hypot(real[k], imag[k]) / LEVEL_FFT_SIZE;
+      this.smoothedMagnitudes[k] = LEVEL_SMOOTHING * this.smoothedMagnitudes[k] + (1 - LEVEL_SMOOTHING) * magnitude;
+
+      const db = 20 * Math.log10(this.smoothedMagnitudes[k] || 1e-12);
+      const byte = Math.min(255, Math.max(0, Math.floor((255 * (db - LEVEL_MIN_DB)) / (LEVEL_MAX_DB - LEVEL_MIN_DB))));
+      sum += byte * byte;
+    }
+
+    const rms = Math.sqrt(sum / this.smoothedMagnitudes.length);
+    return Math.round((rms / 255) * 100);
+  }
+}
+
+registerProcessor("audio-analysis-processor", AudioAnalysisProcessor);
@@ -0,0 +1,166 @@
+/**
+ * Audio File Utilities - Decode uploaded audio, split it on silence and encode segments as WAV
+ */
+
+class AudioFileUtils {
+  /**
+   * Decode an audio file (WAV/WebM/OGG/MP3) to mono samples at the given sample rate
+   * @param {Blob} file - Audio file
+   * @param {number} sampleRate - Output sample rate (default: 16000, what speech recognizers expect)
+   * @returns {Promise<Object>} - { samples: Float32Array, sampleRate, duration }
+   */
+  static async decode(file, sampleRate = 16000) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+      throw new Error("Audio decoding not supported");
+    }
+
+    const arrayBuffer = await file.arrayBuffer();
+    // decodeAudioData resamples to the context's sample rate
+    const context = new OfflineContext(1, 1, sampleRate);
+
+    let audioBuffer;
+    try {
+      audioBuffer = await context.decodeAudioData(arrayBuffer);
+    } catch (error) {
+      throw new Error(`Could not decode ${file.name || "audio file"}: unsupported or corrupt format`);
+    }
+
+    // Mix all channels down to mono
+    const samples = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        samples[i] += data[i] / audioBuffer.numberOfChannels;
+      }
+    }
+
+    return { samples, sampleRate: audioBuffer.sampleRate, duration: audioBuffer.duration };
+  }
+
+  /**
+   * Split audio into speech segments separated by silence
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} sampleRate - Sample rate of samples
+   * @param {Object} options
+   * @param {number} options.frameMs - Analysis frame length
+   * @param {number} options.minSilenceMs - Pause length that ends a segment
+   * @param {number} options.minSpeechMs - Shorter segments are dropped as noise
+   * @param {number} options.maxSegmentMs - Longer segments are split at their quietest point (recognizers limit input length)
+   * @param {number} options.paddingMs - Audio kept before and after each stretch of speech
+   * @returns {Array<Object>} - [{ start, end, samples }] with start/end in seconds
+   */
+  static segmentOnSilence(samples, sampleRate, { frameMs = 30, minSilenceMs = 600, minSpeechMs = 300, maxSegmentMs = 25000, paddingMs = 200 } = {}) {
+    const frameSize = Math.max(1, Math.round((sampleRate * frameMs) / 1000));
+    const frameCount = Math.floor(samples.length / frameSize);
+    if (frameCount === 0) return [];
+
+    const energies = new Float32Array(frameCount);
+    for (let frame = 0; frame < frameCount; frame++) {
+      let sum = 0;
+      for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+        sum += samples[i] * samples[i];
+      }
+      energies[frame] = Math.sqrt(sum / frameSize);
+    }
+
+    // Threshold relative to the quietest part of the recording (room noise) and its loudest frames
+    const sorted = Array.from(energies).sort((a, b) => a - b);
+    const noiseFloor = sorted[Math.floor(frameCount * 0.1)];
+    const peak = sorted[Math.floor((frameCount - 1) * 0.95)];
+    const threshold = Math.max(noiseFloor * 3, peak * 0.1, 0.003);
+
+    const toFrames = (ms) => Math.max(1, Math.round(ms / frameMs));
+    const minSilenceFrames = toFrames(minSilenceMs);
+    const minSpeechFrames = toFrames(minSpeechMs);
+    const maxSegmentFrames = toFrames(maxSegmentMs);
+    const paddingFrames = Math.round(paddingMs / frameMs);
+
+    // Find runs of speech frames, bridging pauses shorter than minSilenceMs
+    const ranges = [];
+    let start = -1;
+    let lastSpeech = -1;
+    for (let frame = 0; frame < frameCount; frame++) {
+      if (energies[frame] >= threshold) {
+        if (start === -1) start = frame;
+        lastSpeech = frame;
+      } else if (start !== -1 && frame - lastSpeech >= minSilenceFrames) {
+        ranges.push([start, lastSpeech + 1]);
+        start = -1;
+      }
+    }
+    if (start !== -1) ranges.push([start, lastSpeech + 1]);
+
+    const segments = [];
+    ranges
+      .filter(([from, to]) => to - from >= minSpeechFrames)
+      .forEach(([from, to]) => {
+        // Padding goes around the whole run; long runs are cut at their quietest frame so pieces
+        // don't overlap and words at the cut aren't transcribed twice
+        const runEnd = Math.min(frameCount, to + paddingFrames);
+        let pieceStart = Math.max(0, from - paddingFrames);
+        while (pieceStart < runEnd) {
+          let pieceEnd = runEnd;
+          if (runEnd - pieceStart > maxSegmentFrames) {
+            pieceEnd = pieceStart + maxSegmentFrames;
+            for (let frame = pieceStart + Math.ceil(maxSegmentFrames / 2); frame < pieceStart + maxSegmentFrames; frame++) {
+              if (energies[frame] < energies[pieceEnd - 1]) pieceEnd = frame + 1;
+            }
+          }
+          const first = pieceStart * frameSize;
+          const last = pieceEnd * frameSize;
+          segments.push({ start: first / sampleRate, end: last / sampleRate, samples: samples.subarray(first, last) });
+          pieceStart = pieceEnd;
+        }
+      });
+
+    return segments;
+  }
+
+  /**
+   * Encode mono samples as a 16-bit PCM WAV file
+   * @returns {Blob}
+   */
+  static encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true); // block align
+    view.setUint16(34, 16, true); // bits per sample
+    writeString(36, "data");
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+
+    return new Blob([buffer], { type: "audio/wav" });
+  }
+
+  /**
+   * Format seconds as mm:ss (or h:mm:ss for long recordings)
+   */
+  static formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+    const secs = String(total % 60).padStart(2, "0");
+    return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+  }
+}
+
+// Export for use in HTML
+window.AudioFileUtils = AudioFileUtils;
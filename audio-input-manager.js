@@ -0,0 +1,237 @@
+/**
+ * Audio Input Manager - One microphone stream and AudioContext shared by every audio consumer
+ * Consumers take taps on a stable input node, so switching devices or recovering an ended track doesn't rewire them.
+ * The microphone opens with the first tap and closes when the last one is released.
+ * Events: open { deviceId, label, reason: 'start' | 'device' | 'recovered' }, ended { deviceId, label }, status { message, type }
+ */
+
+// Every consumer gets the same processing; separate getUserMedia calls with different constraints reconfigured the device
+const AUDIO_INPUT_CONSTRAINTS = { echoCancellation: true, noiseSuppression: true, autoGainControl: true };
+
+class AudioInputManager extends TypedEventTarget {
+  /**
+   * @param {Object} options
+   * @param {string} options.deviceId - Microphone to open ('' = system default)
+   * @param {Object} options.constraints - Audio constraints besides the device (default: AUDIO_INPUT_CONSTRAINTS)
+   */
+  constructor({ deviceId = "", constraints = AUDIO_INPUT_CONSTRAINTS } = {}) {
+    super({
+      open: {},
+      ended: {},
+      status: { handler: "onStatusChanged", args: ({ message, type }) => [message, type] },
+    });
+
+    this.deviceId = deviceId;
+    this.constraints = constraints;
+    this.stream = null;
+    this.audioContext = null;
+    this.source = null; // MediaStreamAudioSourceNode of the current stream
+    this.input = null; // GainNode the taps connect to; survives stream changes
+    this.taps = new Set();
+    this.opening = null; // Pending first open, shared by concurrent acquire() calls
+
+    this._onTrackEnded = () => this._handleTrackEnded();
+  }
+
+  /**
+   * Number of consumers holding a tap
+   */
+  get consumerCount() {
+    return this.taps.size;
+  }
+
+  /**
+   * Start using the microphone; the first consumer opens it (and triggers the permission prompt)
+   * @param {string} consumer - Name shown in logs (e.g., 'signal-detector')
+   * @returns {Promise<Object>} - Tap { consumer, audioContext, input, connect(node), release() }
+   */
+  async acquire(consumer) {
+    await this._ensureOpen();
+
+    const connected = [];
+    const tap = {
+      consumer,
+      audioContext: this.audioContext,
+      input: this.input,
+      // Connect a node to the microphone; it is disconnected again on release
+      connect: (node) => {
+        this.input.connect(node);
+        connected.push(node);
+        return node;
+      },
+      release: () => {
+        if (!this.taps.delete(tap)) return;
+        connected.forEach((node) => {
+          try {
+            this.input?.disconnect(node);
+          } catch (error) {
+            // Already disconnected
+          }
+        });
+        console.log(`🎤 ${consumer} released the microphone (${this.taps.size} still using it)`);
+        if (this.taps.size === 0) {
+          this._close();
+        }
+      },
+    };
+
+    this.taps.add(tap);
+    console.log(`🎤 ${consumer} is using the microphone (${this.taps.size} consumers)`);
+
+    // Contexts created outside a user gesture may start suspended
+    if (this.audioContext.state === "suspended") {
+      this.audioContext.resume().catch((error) => console.warn("⚠️ Could not resume audio context:", error));
+    }
+    return tap;
+  }
+
+  /**
+   * Tap with an AnalyserNode (e.g., levels and visualizers)
+   * @param {string} consumer
+   * @param {Object} options - { fftSize } (default: 256)
+   * @returns {Promise<Object>} - Tap from acquire() with analyser
+   */
+  async createAnalyser(consumer, { fftSize = 256 } = {}) {
+    const tap = await this.acquire(consumer);
+    const analyser = this.audioContext.createAnalyser();
+    analyser.fftSize = fftSize;
+    tap.analyser = tap.connect(analyser);
+    return tap;
+  }
+
+  /**
+   * Tap with its own MediaStream for MediaRecorder; unlike the raw track it keeps recording across device switches
+   * @param {string} consumer
+   * @returns {Promise<Object>} - Tap from acquire() with stream
+   */
+  async createRecordingStream(consumer) {
+    const tap = await this.acquire(consumer);
+    tap.stream = tap.connect(this.audioContext.createMediaStreamDestination()).stream;
+    return tap;
+  }
+
+  /**
+   * Switch every consumer to another microphone (reopens the stream when it is in use)
+   * @param {string} deviceId - '' for the system default
+   * @returns {Promise<boolean>} - false when the device couldn't be opened
+   */
+  async setDevice(deviceId) {
+    this.deviceId = deviceId;
+    if (!this.stream) return true;
+    return this._reopen("device");
+  }
+
+  /**
+   * The device behind the current stream
+   * @returns {Object} - { deviceId, label } (empty when closed)
+   */
+  getDevice() {
+    const track = this.stream?.getAudioTracks()[0];
+    return { deviceId: track?.getSettings?.().deviceId || "", label: track?.label || "" };
+  }
+
+  async _ensureOpen() {
+    if (this.audioContext) return;
+
+    if (!this.opening) {
+      this.opening = this._getStream()
+        .then((stream) => {
+          this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+          this.input = this.audioContext.createGain();
+          this._useStream(stream, "start");
+        })
+        .finally(() => {
+          this.opening = null;
+        });
+    }
+    await this.opening;
+  }
+
+  async _reopen(reason) {
+    try {
+      const stream = await this._getStream();
+
+      // Everyone released the microphone meanwhile
+      if (!this.audioContext) {
+        stream.getTracks().forEach((track) => track.stop());
+        return true;
+      }
+
+      this._useStream(stream, reason);
+      return true;
+    } catch (error) {
+      console.error("❌ Could not open microphone:", error);
+      this.emit("status", { message: "Error: " + error.message, type: "error" });
+      return false;
+    }
+  }
+
+  /**
+   * Open the chosen microphone, or the default one when it has been unplugged meanwhile
+   */
+  async _getStream() {
+    if (!this.deviceId) {
+      return navigator.mediaDevices.getUserMedia({ audio: this.constraints });
+    }
+
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio: { ...this.constraints, deviceId: { exact: this.deviceId } } });
+    } catch (error) {
+      if (error.name !== "OverconstrainedError" && error.name !== "NotFoundError") throw error;
+      console.warn("⚠️ Selected microphone not found, using the system default");
+      return navigator.mediaDevices.getUserMedia({ audio: this.constraints });
+    }
+  }
+
+  /**
+   * Feed a new stream into the shared input
+   */
+  _useStream(stream, reason) {
+    this._stopStream();
+
+    this.stream = stream;
+    this.source = this.audioContext.createMediaStreamSource(stream);
+    this.source.connect(this.input);
+    stream.getAudioTracks().forEach((track) => track.addEventListener("ended", this._onTrackEnded));
+
+    const { deviceId, label } = this.getDevice();
+    console.log(`✓ Microphone open: ${label || "system default"}`);
+    this.emit("open", { deviceId, label, reason });
+  }
+
+  /**
+   * The track ended by itself (device unplugged, permission revoked) - give the consumers a live microphone again
+   */
+  _handleTrackEnded() {
+    const { deviceId, label } = this.getDevice();
+    console.warn(`⚠️ Microphone track ended: ${label || deviceId}`);
+    this.emit("ended", { deviceId, label });
+
+    if (this.taps.size > 0) {
+      this._reopen("recovered");
+    }
+  }
+
+  _stopStream() {
+    if (!this.stream) return;
+
+    this.stream.getTracks().forEach((track) => {
+      track.removeEventListener("ended", this._onTrackEnded);
+      track.stop();
+    });
+    this.source?.disconnect();
+    this.source = null;
+    this.stream = null;
+  }
+
+  _close() {
+    this._stopStream();
+    this.input = null;
+    this.audioContext?.close();
+    this.audioContext = null;
+    console.log("🎤 Microphone closed");
+  }
+}
+
+// Export for use in HTML
+window.AudioInputManager = AudioInputManager;
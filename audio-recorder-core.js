@@ -1,19 +1,27 @@
 // Pure Audio Recorder Class - No DOM manipulation
 class AudioRecorder {
-  constructor() {
+  /**
+   * @param {Object} options - { audioInput } shared AudioInputManager (a private one when not given)
+   */
+  constructor({ audioInput = null } = {}) {
     this.mediaRecorder = null;
     this.audioChunks = [];
 
-    // Single shared stream for both visualization and recording
-    this.audioStream = null; // One stream for both visualizer and recorder
+    // Microphone shared with the other audio consumers: an analyser tap while capturing, a recording tap while recording
+    this.audioInput = audioInput || new AudioInputManager();
+    this.tap = null;
+    this.recordingTap = null;
 
     this.selectedDeviceId = null;
     this.isRecording = false;
     this.recordingStartTime = null;
     this.audioContext = null;
     this.analyser = null;
+    this.analysisNode = null; // AudioAnalysisNode (AudioWorklet) for level and VAD; null = rAF polling
     this.animationId = null;
     this.audioLevel = 0; // Current audio signal level (0-100)
+    this.peak = null; // Sample peak (0-1), only measured by the worklet
+    this.speechProbability = null; // Only measured by the worklet
     this.isCapturing = false; // Track if capturing
     this.lastHasSignal = false; // Track last signal state
     this.signalOffTimestamp = null; // Timestamp when signal went off
@@ -30,6 +38,13 @@ class AudioRecorder {
     this.onAudioLevelChanged = null;
   }
 
+  /**
+   * Stream of the shared microphone while this recorder uses it
+   */
+  get audioStream() {
+    return this.tap || this.recordingTap ? this.audioInput.stream : null;
+  }
+
   async initializeAudio() {
     try {
       console.log("🔐 Requesting microphone permission and loading devices...");
@@ -39,14 +54,8 @@ class AudioRecorder {
       let audioInputs = devices.filter((device) => device.kind === "audioinput");
       console.log("📱 Devices before permission:", audioInputs.length);
 
-      // Request permission with audio constraints
-      this.audioStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true,
-        },
-      });
+      // Request permission (the first consumer of the shared microphone opens it)
+      await this._tapMicrophone();
 
       console.log("✓ Permission granted");
       this.onStatusChanged?.("Microphone permission granted", "success");
@@ -81,8 +90,7 @@ class AudioRecorder {
 
       if (audioInputs.length === 0) {
         this.onStatusChanged?.("No microphones found", "error");
-        this.audioStream.getTracks().forEach((track) => track.stop());
-        this.audioStream = null;
+        this.stopVisualizer();
         return null;
       }
 
@@ -93,13 +101,6 @@ class AudioRecorder {
       // Set capturing flag
       this.isCapturing = true;
 
-      // Setup audio context for visualization and analysis
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const audioSource = this.audioContext.createMediaStreamSource(this.audioStream);
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 256;
-      audioSource.connect(this.analyser);
-
       // Trigger callback
       this.onDevicesLoaded?.(audioInputs);
 
@@ -117,20 +118,7 @@ class AudioRecorder {
   }
 
   stopCapturingAudio() {
-    // Disable and stop shared audio stream
-    if (this.audioStream) {
-      // Disable tracks first
-      this.audioStream.getAudioTracks().forEach((track) => {
-        track.enabled = false;
-      });
-      // Then stop tracks only if not recording
-      if (!this.isRecording) {
-        this.audioStream.getTracks().forEach((track) => {
-          track.stop();
-        });
-        this.audioStream = null;
-      }
-    }
+    // Only this recorder's analyser tap is released: other consumers (and a running recording) keep the microphone
     this.isCapturing = false;
     this.audioLevel = 0;
     this.onMicStatusChanged?.({
@@ -149,34 +137,13 @@ class AudioRecorder {
         return;
       }
 
-      // If stream exists and same device, reuse it
-      if (this.audioStream) {
-        const currentTrack = this.audioStream.getAudioTracks()[0];
-        const currentDeviceId = currentTrack?.getSettings().deviceId;
-
-        if (currentDeviceId === this.selectedDeviceId) {
-          // Same device, just ensure it's enabled and connected
-          this.audioStream.getAudioTracks().forEach((track) => {
-            track.enabled = true;
-          });
-          this.isCapturing = true;
-          this.onStatusChanged?.("Microphone ready", "active");
-          this.startVisualizer();
-          this.monitorAudioLevel();
-          return;
-        }
-
-        // Different device, close old stream
-        this.audioStream.getTracks().forEach((track) => {
-          track.stop();
-        });
-        this.audioStream = null;
+      // A different device switches the shared microphone for every consumer
+      if (this.audioInput.getDevice().deviceId !== this.selectedDeviceId) {
+        await this.audioInput.setDevice(this.selectedDeviceId);
+      }
+      if (!this.tap) {
+        await this._tapMicrophone();
       }
-
-      // Create new stream for the selected device (permission already granted)
-      this.audioStream = await navigator.mediaDevices.getUserMedia({
-        audio: { deviceId: { exact: this.selectedDeviceId } },
-      });
 
       // Check mic hardware status
       const audioTrack = this.audioStream.getAudioTracks()[0];
@@ -185,14 +152,6 @@ class AudioRecorder {
         return;
       }
 
-      // Setup audio context and analyzer
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const audioSource = this.audioContext.createMediaStreamSource(this.audioStream);
-
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 256;
-      audioSource.connect(this.analyser);
-
       this.isCapturing = true;
       this.onMicStatusChanged?.({
         isCapturing: true,
@@ -216,8 +175,8 @@ class AudioRecorder {
         return;
       }
 
-      // Stream should already exist from initializeAudio or startCapturingAudio
-      if (!this.audioStream) {
+      // Microphone should already be tapped from initializeAudio or startCapturingAudio
+      if (!this.tap) {
         this.onStatusChanged?.("Microphone not initialized", "error");
         return;
       }
@@ -233,9 +192,10 @@ class AudioRecorder {
       }
       console.log("Using MIME type:", mimeType || "default");
 
-      // Create MediaRecorder from shared audio stream
+      // Create MediaRecorder on its own tap of the shared microphone (keeps recording across device switches)
       const recorderOptions = mimeType ? { mimeType: mimeType } : {};
-      this.mediaRecorder = new MediaRecorder(this.audioStream, recorderOptions);
+      this.recordingTap = await this.audioInput.createRecordingStream("recording");
+      this.mediaRecorder = new MediaRecorder(this.recordingTap.stream, recorderOptions);
       this.audioChunks = [];
 
       // Handle data chunks
@@ -248,6 +208,9 @@ class AudioRecorder {
 
       // Handle recording stop
       this.mediaRecorder.onstop = () => {
+        this.recordingTap?.release();
+        this.recordingTap = null;
+
         const mimeTypeUsed = this.mediaRecorder.mimeType || "audio/webm";
         const audioBlob = new Blob(this.audioChunks, { type: mimeTypeUsed });
         const audioUrl = URL.createObjectURL(audioBlob);
@@ -306,10 +269,16 @@ class AudioRecorder {
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
     }
-    if (this.audioContext) {
-      this.audioContext.close();
-      this.audioContext = null;
+    if (this.analysisNode) {
+      this.analysisNode.disconnect();
+      this.analysisNode = null;
+    }
+    // The shared microphone closes once no other consumer uses it
+    if (this.tap) {
+      this.tap.release();
+      this.tap = null;
     }
+    this.audioContext = null;
   }
 
   startTimerTick() {
@@ -341,6 +310,17 @@ class AudioRecorder {
   monitorAudioLevel() {
     if (!this.analyser) return;
 
+    // The worklet posts level, peak and VAD per frame, also while the tab is in the background
+    if (this.analysisNode) {
+      this.analysisNode.onFrame = ({ level, peak, vad }) => {
+        if (!this.isCapturing) return;
+        this.peak = peak;
+        this.speechProbability = vad.probability;
+        this._updateAudioLevel(level);
+      };
+      return;
+    }
+
     const bufferLength = this.analyser.frequencyBinCount;
     const dataArray = new Uint8Array(bufferLength);
 
@@ -355,44 +335,60 @@ class AudioRecorder {
         sum += dataArray[i] * dataArray[i];
       }
       const rms = Math.sqrt(sum / bufferLength);
-      this.audioLevel = Math.round((rms / 255) * 100);
+      this._updateAudioLevel(Math.round((rms / 255) * 100));
 
-      // Update audio level callback
-      this.onAudioLevelChanged?.(this.audioLevel);
+      requestAnimationFrame(monitor);
+    };
 
-      // Determine hasSignal with debouncing for off state
-      let hasSignal = this.audioLevel > 5;
+    monitor();
+  }
 
-      // If signal detected (on) - immediate response
-      if (hasSignal && !this.lastHasSignal) {
-        this.lastHasSignal = true;
-        this.signalOffTimestamp = null;
-      }
-      // If signal lost (off) - require 2 seconds confirmation before reporting as off
-      else if (!hasSignal && this.lastHasSignal) {
-        if (this.signalOffTimestamp === null) {
-          this.signalOffTimestamp = Date.now();
-        }
-        // Only confirm off after 2 seconds of no signal
-        const timeSinceSignalLost = Date.now() - this.signalOffTimestamp;
-        hasSignal = timeSinceSignalLost < this.SIGNAL_OFF_DEBOUNCE_MS;
+  /**
+   * Analyser tap on the shared microphone, plus the worklet analysis when available
+   */
+  async _tapMicrophone() {
+    this.tap = await this.audioInput.createAnalyser("recorder", { fftSize: 256 });
+    this.audioContext = this.tap.audioContext;
+    this.analyser = this.tap.analyser;
+    this.analysisNode = await AudioAnalysisNode.create(this.audioContext, this.tap.input);
+  }
 
-        if (!hasSignal) {
-          this.lastHasSignal = false;
-        }
-      }
+  _updateAudioLevel(audioLevel) {
+    this.audioLevel = audioLevel;
 
-      this.onMicStatusChanged?.({
-        isCapturing: this.isCapturing,
-        isEnabled: this.audioStream?.getAudioTracks()[0]?.enabled ?? false,
-        readyState: this.audioStream?.getAudioTracks()[0]?.readyState ?? "ended",
-        hasSignal: hasSignal,
-        audioLevel: this.audioLevel,
-      });
+    // Update audio level callback
+    this.onAudioLevelChanged?.(this.audioLevel);
 
-      requestAnimationFrame(monitor);
-    };
+    // Determine hasSignal with debouncing for off state
+    let hasSignal = this.audioLevel > 5;
 
-    monitor();
+    // If signal detected (on) - immediate response
+    if (hasSignal && !this.lastHasSignal) {
+      this.lastHasSignal = true;
+      this.signalOffTimestamp = null;
+    }
+    // If signal lost (off) - require 2 seconds confirmation before reporting as off
+    else if (!hasSignal && this.lastHasSignal) {
+      if (this.signalOffTimestamp === null) {
+        this.signalOffTimestamp = Date.now();
+      }
+      // Only confirm off after 2 seconds of no signal
+      const timeSinceSignalLost = Date.now() - this.signalOffTimestamp;
+      hasSignal = timeSinceSignalLost < this.SIGNAL_OFF_DEBOUNCE_MS;
+
+      if (!hasSignal) {
+        this.lastHasSignal = false;
+      }
+    }
+
+    this.onMicStatusChanged?.({
+      isCapturing: this.isCapturing,
+      isEnabled: this.audioStream?.getAudioTracks()[0]?.enabled ?? false,
+      readyState: this.audioStream?.getAudioTracks()[0]?.readyState ?? "ended",
+      hasSignal: hasSignal,
+      audioLevel: this.audioLevel,
+      peak: this.peak,
+      speechProbability: this.speechProbability,
+    });
   }
 }
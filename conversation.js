@@ -0,0 +1,119 @@
+/**
+ * Conversation - Two-party face-to-face mode
+ * Tracks each party's language and voice, who speaks next, and attributes utterances to a side
+ */
+
+// Below this detection confidence the expected speaker is kept
+const CONVERSATION_MIN_DETECTION_CONFIDENCE = 0.6;
+
+class Conversation {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key for the parties and attribution mode
+   */
+  constructor({ storageKey = "conversationSettings" } = {}) {
+    this.storageKey = storageKey;
+
+    const saved = this._load();
+    this.enabled = saved.enabled || false;
+    this.parties = {
+      A: { lang: "vi", voice: "", ...saved.parties?.A },
+      B: { lang: "en", voice: "", ...saved.parties?.B },
+    };
+    // "alternate": turns switch after every utterance; "detect": the transcript's language decides
+    this.attribution = saved.attribution || "alternate";
+    this.nextSpeaker = "A";
+  }
+
+  /**
+   * @param {string} party - 'A' or 'B'
+   * @returns {string} - The other party
+   */
+  static otherParty(party) {
+    return party === "A" ? "B" : "A";
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.nextSpeaker = "A";
+    this._save();
+  }
+
+  /**
+   * Update a party's settings
+   * @param {string} party - 'A' or 'B'
+   * @param {Object} changes - { lang, voice }
+   */
+  setParty(party, changes) {
+    Object.assign(this.parties[party], changes);
+    this._save();
+  }
+
+  /**
+   * @param {string} mode - 'alternate' or 'detect'
+   */
+  setAttribution(mode) {
+    this.attribution = mode;
+    this._save();
+  }
+
+  /**
+   * Override whose turn it is (e.g., the same person speaks twice in a row)
+   */
+  setNextSpeaker(party) {
+    this.nextSpeaker = party;
+  }
+
+  /**
+   * Language to listen for next - the expected speaker's
+   */
+  getListeningLang() {
+    return this.parties[this.nextSpeaker].lang;
+  }
+
+  /**
+   * Decide who said an utterance and hand the turn to the other party
+   * @param {string} text - Transcript
+   * @param {LanguageDetector} detector - Used in 'detect' mode
+   * @returns {Object} - { speaker, listener, sourceLang, targetLang, detection }
+   */
+  attribute(text, detector) {
+    let speaker = this.nextSpeaker;
+    let detection = null;
+
+    const { A, B } = this.parties;
+    if (this.attribution === "detect" && detector && A.lang !== B.lang) {
+      detection = detector.detect(text, [A.lang, B.lang]);
+      if (detection.confidence >= CONVERSATION_MIN_DETECTION_CONFIDENCE) {
+        speaker = detection.lang === A.lang ? "A" : "B";
+      }
+    }
+
+    const listener = Conversation.otherParty(speaker);
+    this.nextSpeaker = listener;
+
+    return {
+      speaker,
+      listener,
+      sourceLang: this.parties[speaker].lang,
+      targetLang: this.parties[listener].lang,
+      detection,
+    };
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn("⚠️ Could not load conversation settings:", error);
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ enabled: this.enabled, parties: this.parties, attribution: this.attribution }));
+  }
+}
+
+// Export for use in HTML
+window.Conversation = Conversation;
@@ -0,0 +1,74 @@
+/**
+ * Typed Event Target - addEventListener-style subscriptions with a fixed set of event names
+ * Keeps the older single on* callback properties working alongside any number of listeners
+ */
+
+class TypedEventTarget extends EventTarget {
+  /**
+   * @param {Object} events - { type: { handler, args } } every event the subclass emits
+   *   handler - legacy callback property (e.g., 'onStatusChanged'), optional
+   *   args - maps the event detail to the legacy callback's arguments (default: [detail])
+   */
+  constructor(events) {
+    super();
+    this.eventTypes = Object.keys(events);
+
+    // Legacy callbacks behave like DOM on* properties: one slot next to addEventListener listeners
+    Object.entries(events).forEach(([type, { handler, args = (detail) => [detail] }]) => {
+      if (!handler) return;
+
+      let callback = null;
+      const listener = (event) => callback?.(...args(event.detail));
+      super.addEventListener(type, listener);
+
+      Object.defineProperty(this, handler, {
+        get: () => callback,
+        set: (value) => {
+          callback = typeof value === "function" ? value : null;
+        },
+        enumerable: true,
+      });
+    });
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - One of this.eventTypes
+   * @param {Function|Object} listener - Receives a CustomEvent with the payload in event.detail
+   */
+  addEventListener(type, listener, options) {
+    this._assertEventType(type);
+    super.addEventListener(type, listener, options);
+  }
+
+  /**
+   * Subscribe with a listener that receives the payload directly
+   * @param {string} type - One of this.eventTypes
+   * @param {Function} listener - Called with event.detail
+   * @returns {Function} - Unsubscribes the listener
+   */
+  on(type, listener, options) {
+    const wrapped = (event) => listener(event.detail);
+    this.addEventListener(type, wrapped, options);
+    return () => this.removeEventListener(type, wrapped, options);
+  }
+
+  /**
+   * Notify every listener; a throwing listener doesn't stop the others
+   * @param {string} type - One of this.eventTypes
+   * @param {Object} detail - Event payload
+   */
+  emit(type, detail) {
+    this._assertEventType(type);
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  _assertEventType(type) {
+    if (!this.eventTypes.includes(type)) {
+      throw new TypeError(`Unknown event "${type}" (expected one of: ${this.eventTypes.join(", ")})`);
+    }
+  }
+}
+
+// Export for use in HTML
+window.TypedEventTarget = TypedEventTarget;
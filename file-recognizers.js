@@ -0,0 +1,52 @@
+/**
+ * File Recognizers - Pluggable speech-to-text engines for SpeechTranscriber.fromFile()
+ * The Web Speech API only listens to the microphone, so decoded file segments are sent elsewhere.
+ * A recognizer is any object with: async recognize({ audio: Blob, language, start, end }, { signal }) -> { text }
+ */
+
+/**
+ * Sends each segment as a WAV upload to an HTTP transcription server
+ * Defaults match the whisper.cpp server (`/inference`, multipart `file`, JSON `{ text }`)
+ */
+class HttpFileRecognizer {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Transcription URL (default: http://localhost:8080/inference)
+   * @param {string} options.fileField - Multipart field name for the audio
+   * @param {Object} options.extraFields - Additional form fields sent with every request
+   */
+  constructor({ endpoint = "http://localhost:8080/inference", fileField = "file", extraFields = { response_format: "json", temperature: "0" } } = {}) {
+    this.name = "HTTP transcription server";
+    this.endpoint = endpoint;
+    this.fileField = fileField;
+    this.extraFields = extraFields;
+  }
+
+  /**
+   * Point the recognizer at a different server
+   * @param {string} endpoint - Transcription URL
+   */
+  setEndpoint(endpoint) {
+    this.endpoint = endpoint.trim();
+  }
+
+  async recognize({ audio, language }, options = {}) {
+    const form = new FormData();
+    form.append(this.fileField, audio, "segment.wav");
+    Object.entries(this.extraFields).forEach(([key, value]) => form.append(key, value));
+    if (language) {
+      form.append("language", language.split("-")[0]);
+    }
+
+    const response = await fetch(this.endpoint, { method: "POST", body: form, signal: options.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return { text: (data.text || "").trim() };
+  }
+}
+
+// Export for use in HTML
+window.HttpFileRecognizer = HttpFileRecognizer;
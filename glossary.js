@@ -0,0 +1,266 @@
+/**
+ * Glossary - User-editable forced translations and do-not-translate terms per language pair
+ * Terms are masked with placeholders before the request and restored afterwards
+ */
+
+// Placeholder inserted in place of glossary terms, e.g. "__G0__"
+const GLOSSARY_PLACEHOLDER = (index) => `__G${index}__`;
+// Tolerates spaces or dropped underscores some engines introduce around placeholders
+const GLOSSARY_PLACEHOLDER_REGEX = /_{1,2}\s*G\s*(\d+)\s*_{1,2}/gi;
+const GLOSSARY_CSV_HEADER = ["source_lang", "target_lang", "type", "source", "target"];
+
+class Glossary {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key for saved glossaries
+   */
+  constructor({ storageKey = "translationGlossary" } = {}) {
+    this.storageKey = storageKey;
+    this.pairs = this._load();
+  }
+
+  /**
+   * Get terms for a language pair
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @returns {Object} - { terms: [{ source, target }], protected: [string] }
+   */
+  getEntries(sourceLang, targetLang) {
+    return this.pairs[`${sourceLang}|${targetLang}`] || { terms: [], protected: [] };
+  }
+
+  /**
+   * Force a term to always translate to the given text; an empty target keeps the term as written
+   */
+  addTerm(sourceLang, targetLang, source, target) {
+    const term = { source: source.trim(), target: target?.trim() || "" };
+    if (!term.target) {
+      this.addProtected(sourceLang, targetLang, term.source);
+      return;
+    }
+
+    const entries = this._entriesFor(sourceLang, targetLang);
+    entries.terms = entries.terms.filter((existing) => existing.source.toLowerCase() !== term.source.toLowerCase());
+    entries.terms.push(term);
+    this._save();
+  }
+
+  /**
+   * Keep a term exactly as written (product names, people's names)
+   */
+  addProtected(sourceLang, targetLang, term) {
+    const trimmed = term.trim();
+    const entries = this._entriesFor(sourceLang, targetLang);
+    if (!entries.protected.includes(trimmed)) {
+      entries.protected.push(trimmed);
+      this._save();
+    }
+  }
+
+  removeTerm(sourceLang, targetLang, source) {
+    const entries = this._entriesFor(sourceLang, targetLang);
+    // Trimmed and case-insensitive, like the duplicate check in addTerm
+    const key = source.trim().toLowerCase();
+    entries.terms = entries.terms.filter((term) => term.source.toLowerCase() !== key);
+    this._save();
+  }
+
+  removeProtected(sourceLang, targetLang, term) {
+    const entries = this._entriesFor(sourceLang, targetLang);
+    entries.protected = entries.protected.filter((protectedTerm) => protectedTerm !== term);
+    this._save();
+  }
+
+  /**
+   * Replace glossary terms with placeholders before translation
+   * @param {string} text - Source text
+   * @param {Object} options - { reverse } true to mask a translation into targetLang before translating it back:
+   *   forced translations are matched and restored as the source term
+   * @returns {Object} - { text, placeholders: [{ original, replacement }] }
+   */
+  mask(text, sourceLang, targetLang, { reverse = false } = {}) {
+    const { terms, protected: protectedTerms } = this.getEntries(sourceLang, targetLang);
+    const rules = [
+      ...terms.map((term) => (reverse ? { source: term.target, replacement: term.source } : { source: term.source, replacement: term.target })),
+      ...protectedTerms.map((term) => ({ source: term, replacement: term })),
+    ];
+
+    const placeholders = [];
+    if (rules.length === 0) {
+      return { text, placeholders };
+    }
+
+    // One pass over the original text, so a term can never match inside an earlier placeholder;
+    // longest terms first so "Acme Cloud" wins over "Acme"
+    rules.sort((a, b) => b.source.length - a.source.length);
+    const pattern = new RegExp(rules.map((rule) => `(${this._termRegex(rule.source).source})`).join("|"), "giu");
+
+    const masked = text.replace(pattern, (original, ...groups) => {
+      const rule = rules[groups.findIndex((group) => group !== undefined)];
+      placeholders.push({ original, replacement: rule.replacement });
+      return GLOSSARY_PLACEHOLDER(placeholders.length - 1);
+    });
+
+    return { text: masked, placeholders };
+  }
+
+  /**
+   * Restore placeholders in translated (or source) text
+   * @param {string} text - Text containing placeholders
+   * @param {Array} placeholders - From mask()
+   * @param {string} field - 'replacement' for translated text, 'original' for source text
+   */
+  unmask(text, placeholders, field = "replacement") {
+    if (!text || placeholders.length === 0) return text;
+
+    const restored = text.replace(GLOSSARY_PLACEHOLDER_REGEX, (match, index) => placeholders[Number(index)]?.[field] ?? match);
+    if (restored.match(GLOSSARY_PLACEHOLDER_REGEX) || placeholders.some((placeholder) => !restored.includes(placeholder[field]))) {
+      console.warn("⚠️ Some glossary placeholders were lost in translation");
+    }
+    return restored;
+  }
+
+  /**
+   * Export all glossaries as JSON
+   */
+  exportJSON() {
+    return JSON.stringify({ version: 1, pairs: this.pairs }, null, 2);
+  }
+
+  /**
+   * Import glossaries from JSON (merged into existing terms)
+   * @returns {number} - Number of imported entries
+   */
+  importJSON(json) {
+    const data = JSON.parse(json);
+    if (!data || typeof data.pairs !== "object") {
+      throw new Error("Invalid glossary JSON: missing 'pairs'");
+    }
+
+    let count = 0;
+    Object.entries(data.pairs).forEach(([pair, entries]) => {
+      const [sourceLang, targetLang] = pair.split("|");
+      (entries.terms || []).forEach((term) => {
+        this.addTerm(sourceLang, targetLang, term.source, term.target);
+        count++;
+      });
+      (entries.protected || []).forEach((term) => {
+        this.addProtected(sourceLang, targetLang, term);
+        count++;
+      });
+    });
+    return count;
+  }
+
+  /**
+   * Export all glossaries as CSV: source_lang,target_lang,type,source,target
+   */
+  exportCSV() {
+    const rows = [GLOSSARY_CSV_HEADER];
+    Object.entries(this.pairs).forEach(([pair, entries]) => {
+      const [sourceLang, targetLang] = pair.split("|");
+      entries.terms.forEach((term) => rows.push([sourceLang, targetLang, "term", term.source, term.target]));
+      entries.protected.forEach((term) => rows.push([sourceLang, targetLang, "protected", term, ""]));
+    });
+    return rows.map((row) => row.map((field) => (/[",\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field)).join(",")).join("\n");
+  }
+
+  /**
+   * Import glossaries from CSV (same columns as exportCSV)
+   * @returns {number} - Number of imported entries
+   */
+  importCSV(csv) {
+    const rows = this._parseCSV(csv);
+    if (rows.length > 0 && rows[0][0] === GLOSSARY_CSV_HEADER[0]) {
+      rows.shift();
+    }
+
+    let count = 0;
+    rows.forEach(([sourceLang, targetLang, type, source, target], index) => {
+      if (!sourceLang || !targetLang || !source?.trim()) {
+        throw new Error(`Invalid glossary CSV at row ${index + 1}`);
+      }
+      if (type === "protected") {
+        this.addProtected(sourceLang, targetLang, source);
+      } else {
+        this.addTerm(sourceLang, targetLang, source, target);
+      }
+      count++;
+    });
+    return count;
+  }
+
+  _entriesFor(sourceLang, targetLang) {
+    const pair = `${sourceLang}|${targetLang}`;
+    if (!this.pairs[pair]) {
+      this.pairs[pair] = { terms: [], protected: [] };
+    }
+    return this.pairs[pair];
+  }
+
+  /**
+   * Case-insensitive match; word boundaries only apply next to letters of spaced scripts
+   */
+  _termRegex(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const before = /^[\p{Script=Latin}\p{N}]/u.test(term) ? "(?<![\\p{L}\\p{N}])" : "";
+    const after = /[\p{Script=Latin}\p{N}]$/u.test(term) ? "(?![\\p{L}\\p{N}])" : "";
+    return new RegExp(before + escaped + after, "giu");
+  }
+
+  _parseCSV(csv) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < csv.length; i++) {
+      const char = csv[i];
+      if (quoted) {
+        if (char === '"' && csv[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && csv[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter((fields) => fields.some((value) => value.trim() !== "")).map((fields) => fields.map((value) => value.trim()));
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn("⚠️ Could not load glossary:", error);
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.pairs));
+  }
+}
+
+// Export for use in HTML
+window.Glossary = Glossary;
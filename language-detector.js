@@ -0,0 +1,122 @@
+/**
+ * Language Detector - Local script and character n-gram language guessing
+ * Distinguishes Vietnamese, English, Chinese, Japanese, Korean and Thai without a network call
+ */
+
+// Letters only Vietnamese uses: ă â đ ê ô ơ ư and the dot-below / hook-above tone marks
+const VIETNAMESE_LETTERS_REGEX = /[ăâđêôơưạảặẳậẩẹẻệểịỉọỏộổợởụủựửỵỷằắẵầấẫềếễồốỗờớỡừứữỳỹĩũ]/giu;
+
+// Sample text used to build character trigram profiles for Latin-script languages
+const NGRAM_PROFILE_SAMPLES = {
+  en: `hello how are you today thank you very much what is your name where is the station
+    i would like to order this please can you help me the meeting starts at nine in the morning
+    we need to finish the report before the end of the week and send it to the team
+    do you have any questions about the project that is a good idea let me know when you are ready`,
+  vi: `xin chao ban khoe khong cam on ban rat nhieu ten ban la gi nha ga o dau
+    toi muon goi mon nay ban co the giup toi khong cuoc hop bat dau luc chin gio sang
+    chung ta can hoan thanh bao cao truoc cuoi tuan va gui cho nhom
+    ban co cau hoi nao ve du an khong do la mot y tuong hay cho toi biet khi nao ban san sang`,
+};
+
+class LanguageDetector {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.languages - Candidate language codes
+   */
+  constructor({ languages = ["vi", "en", "zh", "ja", "ko", "th"] } = {}) {
+    this.languages = languages;
+    this.profiles = {};
+    Object.entries(NGRAM_PROFILE_SAMPLES).forEach(([lang, sample]) => {
+      this.profiles[lang] = this._trigramVector(sample);
+    });
+  }
+
+  /**
+   * Guess the language of a piece of text
+   * @param {string} text - Text to analyze
+   * @param {Array<string>} candidates - Restrict the guess to these languages
+   * @returns {Object} - { lang, confidence (0-1), scores }
+   */
+  detect(text, candidates = this.languages) {
+    const normalized = (text || "").normalize("NFC");
+    const count = (regex) => (normalized.match(regex) || []).length;
+
+    const hangul = count(/\p{Script=Hangul}/gu);
+    const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+    const han = count(/\p{Script=Han}/gu);
+    const thai = count(/\p{Script=Thai}/gu);
+    const latin = count(/\p{Script=Latin}/gu);
+    const vietnameseLetters = count(VIETNAMESE_LETTERS_REGEX);
+
+    const scores = { vi: 0, en: 0, zh: 0, ja: 0, ko: 0, th: 0 };
+    scores.ko = hangul;
+    scores.th = thai;
+
+    // Han characters alone suggest Chinese; any kana makes Japanese more likely
+    if (kana > 0) {
+      scores.ja = kana + han;
+      scores.zh = han * 0.2;
+    } else {
+      scores.zh = han;
+      scores.ja = han * 0.2;
+    }
+
+    if (latin > 0) {
+      // Vietnamese-only letters are strong evidence; otherwise compare trigram profiles
+      const diacriticRatio = vietnameseLetters / latin;
+      const base = this._stripDiacritics(normalized.toLowerCase());
+      const vector = this._trigramVector(base);
+      const viSimilarity = this._cosine(vector, this.profiles.vi);
+      const enSimilarity = this._cosine(vector, this.profiles.en);
+      const ngramTotal = viSimilarity + enSimilarity || 1;
+
+      scores.vi = latin * Math.min(1, diacriticRatio * 8 + (viSimilarity / ngramTotal) * (diacriticRatio > 0 ? 1 : 0.9));
+      scores.en = latin * (diacriticRatio > 0.02 ? 0.05 : enSimilarity / ngramTotal);
+    }
+
+    const candidateScores = {};
+    candidates.forEach((lang) => {
+      candidateScores[lang] = scores[lang] || 0;
+    });
+
+    const total = Object.values(candidateScores).reduce((sum, score) => sum + score, 0);
+    const [lang, best] = Object.entries(candidateScores).sort((a, b) => b[1] - a[1])[0] || [candidates[0], 0];
+
+    return {
+      lang: best > 0 ? lang : candidates[0],
+      confidence: total > 0 ? best / total : 0,
+      scores: candidateScores,
+    };
+  }
+
+  _stripDiacritics(text) {
+    return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/đ/g, "d");
+  }
+
+  _trigramVector(text) {
+    const vector = new Map();
+    const cleaned = ` ${text.toLowerCase().replace(/[^\p{L}]+/gu, " ").trim()} `;
+    for (let i = 0; i < cleaned.length - 2; i++) {
+      const trigram = cleaned.slice(i, i + 3);
+      vector.set(trigram, (vector.get(trigram) || 0) + 1);
+    }
+    return vector;
+  }
+
+  _cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    a.forEach((value, key) => {
+      dot += value * (b.get(key) || 0);
+      normA += value * value;
+    });
+    b.forEach((value) => {
+      normB += value * value;
+    });
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+}
+
+// Export for use in HTML
+window.LanguageDetector = LanguageDetector;
@@ -0,0 +1,277 @@
+/**
+ * Mic Calibration - Measures background noise and speech through MicSignalDetector and proposes
+ * a signal threshold, off-debounce and VAD sensitivity. Results are saved as named profiles (per device or room).
+ * Events: progress { phase: 'silence' | 'speech', elapsedMs, durationMs, audioLevel }
+ */
+
+// Limits for the proposed settings
+const CALIBRATION_THRESHOLD_RANGE = [3, 90];
+const CALIBRATION_DEBOUNCE_RANGE_MS = [200, 2000];
+const CALIBRATION_SNR_RANGE_DB = [4, 15];
+
+class MicCalibration extends TypedEventTarget {
+  /**
+   * @param {MicSignalDetector} detector - Initialized detector to measure through
+   * @param {Object} options
+   * @param {number} options.silenceMs - How long to record the quiet room (default: 3000)
+   * @param {number} options.speechMs - How long to record normal speech (default: 4000)
+   * @param {string} options.storageKey - localStorage key for saved profiles
+   */
+  constructor(detector, { silenceMs = 3000, speechMs = 4000, storageKey = "micCalibrationProfiles" } = {}) {
+    super({
+      progress: { handler: "onProgress" },
+    });
+
+    this.detector = detector;
+    this.silenceMs = silenceMs;
+    this.speechMs = speechMs;
+    this.storageKey = storageKey;
+    this.isRunning = false;
+
+    const saved = this._load();
+    this.profiles = saved.profiles || {}; // name -> profile from computeProfile() plus { deviceId, deviceLabel, savedAt }
+    this.activeProfile = saved.activeProfile || null;
+  }
+
+  /**
+   * Record silence, then speech, and propose settings
+   * @param {Object} options - { signal } AbortSignal that cancels the recording
+   * @returns {Promise<Object>} - Proposed profile, see computeProfile()
+   */
+  async run({ signal } = {}) {
+    if (this.isRunning) {
+      throw new Error("Calibration is already running");
+    }
+
+    this.isRunning = true;
+    try {
+      console.log("📍 Calibrating microphone...");
+      const silence = await this._record("silence", this.silenceMs, signal);
+      const speech = await this._record("speech", this.speechMs, signal);
+      const profile = MicCalibration.computeProfile(silence, speech, { intervalMs: this.detector.frameIntervalMs });
+      console.log("✓ Calibration complete:", profile);
+      return profile;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Derive settings from recorded frames
+   * @param {Array<Object>} silence - [{ audioLevel, energyDb }] recorded while the room was quiet
+   * @param {Array<Object>} speech - [{ audioLevel, energyDb }] recorded while the user spoke
+   * @param {Object} options - { intervalMs } time between frames
+   * @returns {Object} - { signalThreshold, debounceMs, snrThresholdDb, stats: { silence, speech }, warning }
+   */
+  static computeProfile(silence, speech, { intervalMs = 100 } = {}) {
+    const silenceStats = MicCalibration._levelStats(silence.map((frame) => frame.audioLevel));
+    const noiseLevel = silenceStats.p95;
+
+    // Only the frames where the user was actually talking, not the pauses between words
+    const voiced = speech.filter((frame) => frame.audioLevel > noiseLevel);
+    const speechStats = MicCalibration._levelStats(voiced.map((frame) => frame.audioLevel));
+
+    let warning = null;
+    if (voiced.length < speech.length * 0.2 || speechStats.median - noiseLevel < 5) {
+      warning = "Speech was barely louder than the background. Move closer to the microphone or find a quieter spot, then calibrate again.";
+    }
+
+    // Threshold a third of the way from the loudest background to quiet speech
+    const signalThreshold = MicCalibration._clamp(Math.round(noiseLevel + Math.max(2, (speechStats.p25 - noiseLevel) / 3)), CALIBRATION_THRESHOLD_RANGE);
+
+    // Keep the signal on through the user's natural pauses
+    const pauses = MicCalibration._pauseLengths(speech, signalThreshold, intervalMs);
+    const longPause = pauses.length > 0 ? MicCalibration._percentile(pauses, 0.9) : 0;
+    const debounceMs = MicCalibration._clamp(Math.ceil((longPause + intervalMs) / 50) * 50, CALIBRATION_DEBOUNCE_RANGE_MS);
+
+    // VAD sensitivity from how far speech energy rises above the room
+    const silenceDb = MicCalibration._percentile(silence.map((frame) => frame.energyDb), 0.5);
+    const speechDb = MicCalibration._percentile(voiced.map((frame) => frame.energyDb), 0.5);
+    const snrThresholdDb = MicCalibration._clamp(Math.round((speechDb - silenceDb) * 0.4), CALIBRATION_SNR_RANGE_DB);
+
+    return { signalThreshold, debounceMs, snrThresholdDb, stats: { silence: silenceStats, speech: speechStats }, warning };
+  }
+
+  /**
+   * Use a profile's settings in the detector
+   */
+  apply(profile) {
+    this.detector.setSignalThreshold(profile.signalThreshold);
+    this.detector.setDebounceMs(profile.debounceMs);
+    this.detector.setVadOptions({ snrThresholdDb: profile.snrThresholdDb });
+    console.log(`✓ Mic calibration applied: threshold ${profile.signalThreshold}, debounce ${profile.debounceMs}ms, SNR ${profile.snrThresholdDb}dB`);
+  }
+
+  /**
+   * Save a profile under a name (e.g., the room) for the current microphone and make it active
+   */
+  saveProfile(name, profile) {
+    const { deviceId, label } = this.getDevice();
+    this.profiles[name] = { ...profile, deviceId, deviceLabel: label, savedAt: Date.now() };
+    this.activeProfile = name;
+    this._save();
+  }
+
+  deleteProfile(name) {
+    delete this.profiles[name];
+    if (this.activeProfile === name) {
+      this.activeProfile = null;
+    }
+    this._save();
+  }
+
+  /**
+   * Apply a saved profile and remember it as active
+   * @returns {boolean} - false when there is no profile with that name
+   */
+  activate(name) {
+    const profile = this.profiles[name];
+    if (!profile) return false;
+
+    this.apply(profile);
+    this.activeProfile = name;
+    this._save();
+    return true;
+  }
+
+  /**
+   * Stop using a saved profile (the caller restores default settings)
+   */
+  deactivate() {
+    this.activeProfile = null;
+    this._save();
+  }
+
+  /**
+   * Profile to use at startup: the newest one saved for this microphone, else the last active one
+   * @param {Object} options - { fallbackToActive } false to only accept a profile saved for this microphone
+   * @returns {string|null} - Profile name
+   */
+  findProfileForCurrentDevice({ fallbackToActive = true } = {}) {
+    const { deviceId } = this.getDevice();
+    const forDevice = Object.entries(this.profiles)
+      .filter(([, profile]) => deviceId && profile.deviceId === deviceId)
+      .sort(([, a], [, b]) => b.savedAt - a.savedAt);
+
+    if (forDevice.length > 0) return forDevice[0][0];
+    return fallbackToActive && this.profiles[this.activeProfile] ? this.activeProfile : null;
+  }
+
+  /**
+   * The detector's current input device
+   * @returns {Object} - { deviceId, label } (empty when unknown)
+   */
+  getDevice() {
+    const track = this.detector.audioStream?.getAudioTracks()[0];
+    return { deviceId: track?.getSettings?.().deviceId || "", label: track?.label || "" };
+  }
+
+  /**
+   * Collect the detector's frames for a while
+   */
+  _record(phase, durationMs, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this._abortError());
+        return;
+      }
+
+      const frames = [];
+      const startedAt = Date.now();
+
+      const unsubscribe = this.detector.on("vad", (frame) => {
+        const audioLevel = this.detector.audioLevel;
+        frames.push({ audioLevel, energyDb: frame.energyDb });
+        this.emit("progress", { phase, elapsedMs: Date.now() - startedAt, durationMs, audioLevel });
+      });
+
+      const finish = () => {
+        clearTimeout(timeout);
+        unsubscribe();
+        signal?.removeEventListener("abort", onAbort);
+      };
+      const onAbort = () => {
+        finish();
+        reject(this._abortError());
+      };
+      const timeout = setTimeout(() => {
+        finish();
+        resolve(frames);
+      }, durationMs);
+
+      signal?.addEventListener("abort", onAbort);
+    });
+  }
+
+  _abortError() {
+    const error = new Error("Calibration cancelled");
+    error.name = "AbortError";
+    return error;
+  }
+
+  /**
+   * @returns {Object} - { mean, median, p25, p95, max } (all 0 for no values)
+   */
+  static _levelStats(values) {
+    if (values.length === 0) {
+      return { mean: 0, median: 0, p25: 0, p95: 0, max: 0 };
+    }
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+      mean: Math.round(mean * 10) / 10,
+      median: MicCalibration._percentile(values, 0.5),
+      p25: MicCalibration._percentile(values, 0.25),
+      p95: MicCalibration._percentile(values, 0.95),
+      max: Math.max(...values),
+    };
+  }
+
+  static _percentile(values, fraction) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+  }
+
+  /**
+   * Lengths (ms) of quiet stretches between louder frames while the user was speaking
+   */
+  static _pauseLengths(frames, threshold, intervalMs) {
+    const pauses = [];
+    let quietFrames = 0;
+    let heardSpeech = false;
+
+    frames.forEach((frame) => {
+      if (frame.audioLevel > threshold) {
+        if (heardSpeech && quietFrames > 0) {
+          pauses.push(quietFrames * intervalMs);
+        }
+        heardSpeech = true;
+        quietFrames = 0;
+      } else {
+        quietFrames++;
+      }
+    });
+
+    return pauses;
+  }
+
+  static _clamp(value, [min, max]) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn("⚠️ Could not load calibration profiles:", error);
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ profiles: this.profiles, activeProfile: this.activeProfile }));
+  }
+}
+
+// Export for use in HTML
+window.MicCalibration = MicCalibration;
@@ -1,22 +1,42 @@
 /**
  * Mic Signal Detector - Standalone utility for detecting microphone on/off state
- * Includes built-in audio initialization and frequency analysis
+ * Listens through a tap on the shared AudioInputManager; speech is told apart from noise by VoiceActivityDetector.
+ * Frames come from an AudioAnalysisNode worklet when available, otherwise from polling AnalyserNodes every 100ms.
+ * Events: status { message, type }, signal { hasSignal, audioLevel, speechProbability, timestamp }, level { audioLevel, peak },
+ * vad { probability, isSpeech, energyDb, noiseFloorDb, zeroCrossingRate, flatness, spectralFlux } (every frame)
  */
-class MicSignalDetector {
+class MicSignalDetector extends TypedEventTarget {
   constructor(options = {}) {
+    super({
+      status: { handler: "onStatusChanged", args: ({ message, type }) => [message, type] },
+      signal: { handler: "onSignalStateChanged" },
+      level: { handler: "onAudioLevelChanged", args: ({ audioLevel }) => [audioLevel] },
+      vad: {},
+    });
+
     // Audio setup
-    this.audioStream = null;
+    this.audioInput = options.audioInput || new AudioInputManager(); // Shared microphone (a private one when not given)
+    this.tap = null;
     this.audioContext = null;
     this.analyser = null;
+    this.vadAnalyser = null;
+    this.vadBuffer = null;
+    this.vadPollSamples = 0; // Samples of audio per poll, analysed by the fallback VAD
+    this.analysisNode = null; // AudioAnalysisNode when AudioWorklet is available
+    this.useWorklet = options.useWorklet !== false;
 
     // Signal detection
     this.audioLevel = 0;
+    this.peak = null; // Sample peak (0-1) of the last frame; only measured by the worklet
+    this.speechProbability = 0;
+    this.vad = null; // VoiceActivityDetector, created once the sample rate is known
+    this.vadOptions = options.vad || {};
     this.lastHasSignal = false;
     this.signalOffTimestamp = null;
     this.signalOnTimestamp = null;
 
     // Configurable options
-    this.SIGNAL_THRESHOLD = options.signalThreshold || 15;
+    this.SIGNAL_THRESHOLD = options.signalThreshold || 15; // Minimum audio level, whatever the VAD says
     this.SIGNAL_OFF_DEBOUNCE_MS = options.debounceMs || 2000;
     this.SIGNAL_ON_CONFIRM_MS = options.confirmMs || 0;
 
@@ -28,6 +48,24 @@ class MicSignalDetector {
     this.isMonitoring = false;
     this.animationId = null;
     this.intervalId = null; // Use setInterval instead of requestAnimationFrame for background monitoring
+    this.MONITOR_INTERVAL_MS = 100;
+    this.frameIntervalMs = this.MONITOR_INTERVAL_MS; // Time between frames: the worklet's frame length or the polling interval
+
+    // A new or recovered microphone has its own noise floor, and whatever it was hearing is gone
+    this.audioInput.on("open", ({ reason }) => {
+      if (!this.tap || reason === "start") return;
+      if (this.lastHasSignal) {
+        this.emit("signal", { hasSignal: false, audioLevel: 0, speechProbability: 0, timestamp: Date.now() });
+      }
+      this.reset();
+    });
+  }
+
+  /**
+   * Stream of the shared microphone while this detector uses it
+   */
+  get audioStream() {
+    return this.tap ? this.audioInput.stream : null;
   }
 
   /**
@@ -37,36 +75,56 @@ class MicSignalDetector {
     try {
       console.log("📍 Initializing audio for signal detection...");
 
-      // Request microphone permission
-      this.audioStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true,
-        },
-      });
+      // Request microphone permission (the first consumer of the shared microphone opens it)
+      this.tap = await this.audioInput.createAnalyser("signal-detector", { fftSize: 256 });
 
       console.log("✓ Microphone permission granted");
-      this.onStatusChanged?.("Microphone ready", "success");
+      this.emit("status", { message: "Microphone ready", type: "success" });
 
-      // Setup audio context
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const audioSource = this.audioContext.createMediaStreamSource(this.audioStream);
+      // Shared audio context
+      this.audioContext = this.tap.audioContext;
+      const audioSource = this.tap.input;
+      this.analyser = this.tap.analyser;
 
-      // Create analyser
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 256;
-      audioSource.connect(this.analyser);
+      // Level and VAD at frame rate off the main thread
+      this.analysisNode = this.useWorklet ? await AudioAnalysisNode.create(this.audioContext, audioSource, { vad: this.vadOptions }) : null;
+      if (this.analysisNode) {
+        this.frameIntervalMs = this.analysisNode.frameMs;
+        this.analysisNode.on("frame", ({ level, peak, vad }) => {
+          if (this.isMonitoring) {
+            this._handleFrame(level, vad, peak);
+          }
+        });
+      } else {
+        // Fallback: each poll hands the VAD all audio since the previous one, so its timing follows real audio
+        const pollSamples = Math.round((this.audioContext.sampleRate * this.MONITOR_INTERVAL_MS) / 1000);
+        this.vadAnalyser = this.audioContext.createAnalyser();
+        this.vadAnalyser.fftSize = Math.min(32768, 2 ** Math.ceil(Math.log2(pollSamples)));
+        this.vadBuffer = new Float32Array(this.vadAnalyser.fftSize);
+        this.vadPollSamples = Math.min(pollSamples, this.vadBuffer.length);
+        this.tap.connect(this.vadAnalyser);
+        this.vad = new VoiceActivityDetector({ sampleRate: this.audioContext.sampleRate, ...this.vadOptions });
+        this.frameIntervalMs = this.MONITOR_INTERVAL_MS;
+      }
 
       console.log("✓ Audio analyser initialized");
       return true;
     } catch (error) {
       console.error("❌ Audio initialization error:", error);
-      this.onStatusChanged?.("Error: " + error.message, "error");
+      this.emit("status", { message: "Error: " + error.message, type: "error" });
       return false;
     }
   }
 
+  /**
+   * Switch to another microphone; with a shared AudioInputManager this moves every consumer
+   * @param {string} deviceId - '' for the system default
+   * @returns {Promise<boolean>} - false when the device couldn't be opened
+   */
+  setDevice(deviceId) {
+    return this.audioInput.setDevice(deviceId);
+  }
+
   /**
    * Start monitoring microphone signal state
    */
@@ -77,7 +135,11 @@ class MicSignalDetector {
       return;
     }
     this.isMonitoring = true;
-    this._monitor();
+
+    // The worklet pushes frames by itself
+    if (!this.analysisNode) {
+      this._monitor();
+    }
   }
 
   /**
@@ -100,18 +162,20 @@ class MicSignalDetector {
    */
   stop() {
     this.stopMonitoring();
-    if (this.audioStream) {
-      this.audioStream.getTracks().forEach((track) => track.stop());
-      this.audioStream = null;
+    if (this.analysisNode) {
+      this.analysisNode.disconnect();
+      this.analysisNode = null;
     }
-    if (this.audioContext) {
-      this.audioContext.close();
-      this.audioContext = null;
+    // The shared microphone closes once no other consumer uses it
+    if (this.tap) {
+      this.tap.release();
+      this.tap = null;
     }
+    this.audioContext = null;
   }
 
   /**
-   * Internal monitoring loop
+   * Internal monitoring loop (AnalyserNode fallback when the worklet is unavailable)
    */
   _monitor() {
     if (!this.isMonitoring || !this.analyser) return;
@@ -126,28 +190,44 @@ class MicSignalDetector {
       sum += dataArray[i] * dataArray[i];
     }
     const rms = Math.sqrt(sum / bufferLength);
-    this.audioLevel = Math.round((rms / 255) * 100);
+    const audioLevel = Math.round((rms / 255) * 100);
 
-    // Analyze frequency distribution - speech has energy in mid-frequencies
-    const midFreqStart = Math.floor(bufferLength * 0.1);
-    const midFreqEnd = Math.floor(bufferLength * 0.4);
+    // The last polling interval of audio, cut into consecutive VAD frames; the newest frame is reported
+    this.vadAnalyser.getFloatTimeDomainData(this.vadBuffer);
+    const vadFrames = this.vad.processBuffer(this.vadBuffer.subarray(this.vadBuffer.length - this.vadPollSamples));
 
-    let midFreqSum = 0;
-    let totalSum = 0;
-    for (let i = 0; i < bufferLength; i++) {
-      totalSum += dataArray[i];
-      if (i >= midFreqStart && i < midFreqEnd) {
-        midFreqSum += dataArray[i];
-      }
+    if (vadFrames.length > 0) {
+      this._handleFrame(audioLevel, vadFrames[vadFrames.length - 1]);
+    }
+
+    // Use setInterval for background monitoring (works when window is minimized)
+    // This is how Google Meet keeps audio working in background
+    if (!this.intervalId) {
+      this.intervalId = setInterval(() => {
+        if (this.isMonitoring) {
+          this._monitor();
+        }
+      }, this.MONITOR_INTERVAL_MS); // Check every 100ms (10 times per second)
     }
+  }
 
-    const midFreqRatio = totalSum > 0 ? midFreqSum / totalSum : 0;
+  /**
+   * Report a frame's level and VAD result, then update the debounced signal state
+   * @param {number} audioLevel - 0-100
+   * @param {Object} vadFrame - VoiceActivityDetector.processFrame() result
+   * @param {number|null} peak - Sample peak (0-1), when measured
+   */
+  _handleFrame(audioLevel, vadFrame, peak = null) {
+    this.audioLevel = audioLevel;
+    this.peak = peak;
+    this.speechProbability = vadFrame.probability;
 
     // Notify audio level change
-    this.onAudioLevelChanged?.(this.audioLevel);
+    this.emit("level", { audioLevel: this.audioLevel, peak });
+    this.emit("vad", vadFrame);
 
-    // Signal detected if: audio level above threshold AND mid-frequency suggests speech
-    let hasSignal = this.audioLevel > this.SIGNAL_THRESHOLD && midFreqRatio > 0.3;
+    // Signal detected if: the VAD hears speech (not fans, keyboards or music) AND it is loud enough
+    let hasSignal = vadFrame.isSpeech && this.audioLevel > this.SIGNAL_THRESHOLD;
 
     // If potential signal detected - trigger ON immediately
     if (hasSignal && !this.lastHasSignal) {
@@ -160,9 +240,10 @@ class MicSignalDetector {
         this.lastHasSignal = true;
         this.signalOffTimestamp = null;
         this.signalOnTimestamp = null;
-        this.onSignalStateChanged?.({
+        this.emit("signal", {
           hasSignal: true,
           audioLevel: this.audioLevel,
+          speechProbability: this.speechProbability,
           timestamp: Date.now(),
         });
       }
@@ -177,9 +258,10 @@ class MicSignalDetector {
       if (timeSinceSignalLost >= this.SIGNAL_OFF_DEBOUNCE_MS) {
         this.lastHasSignal = false;
         this.signalOffTimestamp = null;
-        this.onSignalStateChanged?.({
+        this.emit("signal", {
           hasSignal: false,
           audioLevel: this.audioLevel,
+          speechProbability: this.speechProbability,
           timestamp: Date.now(),
         });
       }
@@ -188,16 +270,6 @@ class MicSignalDetector {
     else if (!hasSignal && this.signalOnTimestamp !== null && !this.lastHasSignal) {
       this.signalOnTimestamp = null;
     }
-
-    // Use setInterval for background monitoring (works when window is minimized)
-    // This is how Google Meet keeps audio working in background
-    if (!this.intervalId) {
-      this.intervalId = setInterval(() => {
-        if (this.isMonitoring) {
-          this._monitor();
-        }
-      }, 100); // Check every 100ms (10 times per second)
-    }
   }
 
   /**
@@ -207,6 +279,7 @@ class MicSignalDetector {
     return {
       hasSignal: this.lastHasSignal,
       audioLevel: this.audioLevel,
+      speechProbability: this.speechProbability,
       signalOffTimestamp: this.signalOffTimestamp,
     };
   }
@@ -216,8 +289,11 @@ class MicSignalDetector {
    */
   reset() {
     this.audioLevel = 0;
+    this.speechProbability = 0;
     this.lastHasSignal = false;
     this.signalOffTimestamp = null;
+    this.vad?.reset();
+    this.analysisNode?.reset();
   }
 
   /**
@@ -233,6 +309,17 @@ class MicSignalDetector {
   setDebounceMs(ms) {
     this.SIGNAL_OFF_DEBOUNCE_MS = ms;
   }
+
+  /**
+   * Tune the voice activity detector (e.g., { snrThresholdDb }); kept for when it is created
+   */
+  setVadOptions(options) {
+    Object.assign(this.vadOptions, options);
+    if (this.vad) {
+      Object.assign(this.vad, options);
+    }
+    this.analysisNode?.setVadOptions(options);
+  }
 }
 
 // Export for use in other modules
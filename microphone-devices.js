@@ -0,0 +1,151 @@
+/**
+ * Microphone Devices - Lists audio inputs, remembers the chosen one and follows headsets being unplugged or re-plugged
+ * deviceId '' stands for the system default microphone.
+ * Events: devices { devices }, select { deviceId, label, reason: 'user' | 'disconnected' | 'reconnected' | 'default-changed' }
+ */
+class MicrophoneDevices extends TypedEventTarget {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key for the chosen device
+   */
+  constructor({ storageKey = "microphoneDevice" } = {}) {
+    super({
+      devices: { handler: "onDevicesChanged", args: ({ devices }) => [devices] },
+      select: { handler: "onDeviceSelected" },
+    });
+
+    this.storageKey = storageKey;
+    this.devices = []; // Audio inputs (MediaDeviceInfo), without the browser's "default" alias
+    this.defaultLabel = ""; // Label of the device behind the system default, when the browser tells
+
+    // The user's choice is kept while it is unplugged, so it comes back when re-plugged
+    const saved = this._load();
+    this.preferredDeviceId = saved.deviceId || "";
+    this.preferredLabel = saved.label || "";
+
+    // Device in use: the preferred one when connected, else the default
+    this.selectedDeviceId = this.preferredDeviceId;
+
+    this._onDeviceChange = () => {
+      this.refresh().catch((error) => console.warn("⚠️ Could not list microphones:", error));
+    };
+  }
+
+  static isSupported() {
+    return Boolean(navigator.mediaDevices?.enumerateDevices);
+  }
+
+  /**
+   * Load the device list and start following devicechange
+   * @returns {Promise<string>} - Device to open ('' = default)
+   */
+  async start() {
+    navigator.mediaDevices.addEventListener("devicechange", this._onDeviceChange);
+    await this.refresh();
+    return this.selectedDeviceId;
+  }
+
+  /**
+   * Re-read the audio inputs; falls back to the default when the chosen device is gone and switches back when it returns
+   * Call again once microphone permission is granted - browsers hide device ids and labels until then
+   */
+  async refresh() {
+    const inputs = (await navigator.mediaDevices.enumerateDevices()).filter((device) => device.kind === "audioinput");
+    const previousDefaultLabel = this.defaultLabel;
+
+    this.defaultLabel = inputs.find((device) => device.deviceId === "default")?.label.replace(/^Default - /, "") || "";
+    this.devices = inputs.filter((device) => device.deviceId !== "default");
+    this.emit("devices", { devices: this.devices });
+
+    // Without permission there are no ids to compare, so trust the saved choice for now
+    if (!this.devices.some((device) => device.deviceId)) return;
+
+    const preferred = this._findPreferred();
+    const deviceId = preferred?.deviceId || "";
+
+    if (deviceId !== this.selectedDeviceId) {
+      this.selectedDeviceId = deviceId;
+      console.log(preferred ? `🔄 Microphone reconnected: ${preferred.label}` : "⚠️ Microphone unplugged, using the system default");
+      this._emitSelect(preferred ? "reconnected" : "disconnected");
+    } else if (!deviceId && previousDefaultLabel && this.defaultLabel !== previousDefaultLabel) {
+      // e.g., the headset that was the system default got unplugged
+      console.log(`🔄 System default microphone changed: ${this.defaultLabel}`);
+      this._emitSelect("default-changed");
+    }
+  }
+
+  /**
+   * Use a device from now on and remember it
+   * @param {string} deviceId - '' for the system default
+   */
+  select(deviceId) {
+    const device = this.devices.find((candidate) => candidate.deviceId === deviceId);
+    this.preferredLabel = device?.label || (deviceId === this.preferredDeviceId ? this.preferredLabel : "");
+    this.preferredDeviceId = deviceId;
+    this._save();
+
+    if (this.preferredDeviceId !== this.selectedDeviceId) {
+      this.selectedDeviceId = this.preferredDeviceId;
+      this._emitSelect("user");
+    }
+  }
+
+  /**
+   * Display name of a device ('' = the system default)
+   */
+  getLabel(deviceId = this.selectedDeviceId) {
+    if (!deviceId) {
+      return this.defaultLabel ? `System default (${this.defaultLabel})` : "System default";
+    }
+    const device = this.devices.find((candidate) => candidate.deviceId === deviceId);
+    return device?.label || (deviceId === this.preferredDeviceId && this.preferredLabel) || "Microphone";
+  }
+
+  /**
+   * The saved choice is unplugged and the default is used instead
+   */
+  isPreferredMissing() {
+    return Boolean(this.preferredDeviceId) && this.selectedDeviceId !== this.preferredDeviceId;
+  }
+
+  destroy() {
+    navigator.mediaDevices.removeEventListener("devicechange", this._onDeviceChange);
+  }
+
+  /**
+   * The preferred device by id, else by label (ids change when the site's data is cleared)
+   */
+  _findPreferred() {
+    if (!this.preferredDeviceId) return null;
+
+    const byId = this.devices.find((device) => device.deviceId === this.preferredDeviceId);
+    if (byId) return byId;
+
+    const byLabel = this.preferredLabel && this.devices.find((device) => device.label === this.preferredLabel);
+    if (byLabel) {
+      this.preferredDeviceId = byLabel.deviceId;
+      this._save();
+    }
+    return byLabel || null;
+  }
+
+  _emitSelect(reason) {
+    this.emit("select", { deviceId: this.selectedDeviceId, label: this.getLabel(), reason });
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn("⚠️ Could not load microphone choice:", error);
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ deviceId: this.preferredDeviceId, label: this.preferredLabel }));
+  }
+}
+
+// Export for use in HTML
+window.MicrophoneDevices = MicrophoneDevices;
@@ -0,0 +1,145 @@
+/**
+ * Phrasebook - Bundled offline translations of common phrases
+ * Matches exactly or fuzzily and serves results when the translation API can't be used
+ */
+
+// Bundled phrases: category -> phrase id -> translation per language
+const PHRASEBOOK_PHRASES = {
+  greetings: {
+    hello: { vi: "Xin chào", en: "Hello", zh: "你好", ja: "こんにちは", ko: "안녕하세요", th: "สวัสดี" },
+    good_morning: { vi: "Chào buổi sáng", en: "Good morning", zh: "早上好", ja: "おはようございます", ko: "좋은 아침입니다", th: "สวัสดีตอนเช้า" },
+    goodbye: { vi: "Tạm biệt", en: "Goodbye", zh: "再见", ja: "さようなら", ko: "안녕히 가세요", th: "ลาก่อน" },
+    thank_you: { vi: "Cảm ơn", en: "Thank you", zh: "谢谢", ja: "ありがとうございます", ko: "감사합니다", th: "ขอบคุณ" },
+    sorry: { vi: "Xin lỗi", en: "Sorry", zh: "对不起", ja: "すみません", ko: "죄송합니다", th: "ขอโทษ" },
+    how_are_you: { vi: "Bạn khỏe không?", en: "How are you?", zh: "你好吗？", ja: "お元気ですか？", ko: "잘 지내세요?", th: "สบายดีไหม" },
+    nice_to_meet_you: { vi: "Rất vui được gặp bạn", en: "Nice to meet you", zh: "很高兴认识你", ja: "はじめまして", ko: "만나서 반갑습니다", th: "ยินดีที่ได้รู้จัก" },
+    yes: { vi: "Vâng", en: "Yes", zh: "是", ja: "はい", ko: "네", th: "ใช่" },
+    no: { vi: "Không", en: "No", zh: "不是", ja: "いいえ", ko: "아니요", th: "ไม่ใช่" },
+    dont_understand: { vi: "Tôi không hiểu", en: "I don't understand", zh: "我不明白", ja: "わかりません", ko: "이해가 안 돼요", th: "ฉันไม่เข้าใจ" },
+  },
+  numbers: {
+    one: { vi: "Một", en: "One", zh: "一", ja: "いち", ko: "하나", th: "หนึ่ง" },
+    two: { vi: "Hai", en: "Two", zh: "二", ja: "に", ko: "둘", th: "สอง" },
+    three: { vi: "Ba", en: "Three", zh: "三", ja: "さん", ko: "셋", th: "สาม" },
+    four: { vi: "Bốn", en: "Four", zh: "四", ja: "よん", ko: "넷", th: "สี่" },
+    five: { vi: "Năm", en: "Five", zh: "五", ja: "ご", ko: "다섯", th: "ห้า" },
+    six: { vi: "Sáu", en: "Six", zh: "六", ja: "ろく", ko: "여섯", th: "หก" },
+    seven: { vi: "Bảy", en: "Seven", zh: "七", ja: "なな", ko: "일곱", th: "เจ็ด" },
+    eight: { vi: "Tám", en: "Eight", zh: "八", ja: "はち", ko: "여덟", th: "แปด" },
+    nine: { vi: "Chín", en: "Nine", zh: "九", ja: "きゅう", ko: "아홉", th: "เก้า" },
+    ten: { vi: "Mười", en: "Ten", zh: "十", ja: "じゅう", ko: "열", th: "สิบ" },
+  },
+  directions: {
+    where_toilet: { vi: "Nhà vệ sinh ở đâu?", en: "Where is the toilet?", zh: "洗手间在哪里？", ja: "トイレはどこですか？", ko: "화장실이 어디예요?", th: "ห้องน้ำอยู่ที่ไหน" },
+    where_exit: { vi: "Lối ra ở đâu?", en: "Where is the exit?", zh: "出口在哪里？", ja: "出口はどこですか？", ko: "출구가 어디예요?", th: "ทางออกอยู่ที่ไหน" },
+    turn_left: { vi: "Rẽ trái", en: "Turn left", zh: "左转", ja: "左に曲がってください", ko: "왼쪽으로 가세요", th: "เลี้ยวซ้าย" },
+    turn_right: { vi: "Rẽ phải", en: "Turn right", zh: "右转", ja: "右に曲がってください", ko: "오른쪽으로 가세요", th: "เลี้ยวขวา" },
+    go_straight: { vi: "Đi thẳng", en: "Go straight", zh: "直走", ja: "まっすぐ行ってください", ko: "직진하세요", th: "ตรงไป" },
+    how_far: { vi: "Bao xa?", en: "How far is it?", zh: "有多远？", ja: "どのくらい遠いですか？", ko: "얼마나 멀어요?", th: "ไกลแค่ไหน" },
+  },
+  emergency: {
+    help: { vi: "Cứu tôi với!", en: "Help!", zh: "救命！", ja: "助けて！", ko: "도와주세요!", th: "ช่วยด้วย" },
+    call_police: { vi: "Gọi cảnh sát!", en: "Call the police!", zh: "叫警察！", ja: "警察を呼んでください！", ko: "경찰을 불러 주세요!", th: "เรียกตำรวจ" },
+    call_ambulance: { vi: "Gọi xe cấp cứu!", en: "Call an ambulance!", zh: "叫救护车！", ja: "救急車を呼んでください！", ko: "구급차를 불러 주세요!", th: "เรียกรถพยาบาล" },
+    need_doctor: { vi: "Tôi cần bác sĩ", en: "I need a doctor", zh: "我需要医生", ja: "医者が必要です", ko: "의사가 필요해요", th: "ฉันต้องการหมอ" },
+    where_hospital: { vi: "Bệnh viện ở đâu?", en: "Where is the hospital?", zh: "医院在哪里？", ja: "病院はどこですか？", ko: "병원이 어디예요?", th: "โรงพยาบาลอยู่ที่ไหน" },
+    fire: { vi: "Cháy!", en: "Fire!", zh: "着火了！", ja: "火事だ！", ko: "불이야!", th: "ไฟไหม้" },
+    lost: { vi: "Tôi bị lạc", en: "I am lost", zh: "我迷路了", ja: "道に迷いました", ko: "길을 잃었어요", th: "ฉันหลงทาง" },
+  },
+};
+
+class Phrasebook {
+  /**
+   * @param {Object} options
+   * @param {number} options.fuzzyThreshold - Minimum similarity (0-1) for a fuzzy match; kept high since
+   *   a couple of changed letters can change the meaning ("call the polish" is not "call the police")
+   * @param {string} options.storageKey - localStorage key for user-added phrases
+   */
+  constructor({ fuzzyThreshold = 0.92, storageKey = "customPhrasebook" } = {}) {
+    this.fuzzyThreshold = fuzzyThreshold;
+    this.storageKey = storageKey;
+    this.entries = [];
+    this.customPhrases = this._loadCustomPhrases();
+
+    Object.entries(PHRASEBOOK_PHRASES).forEach(([category, phrases]) => this._index(category, phrases));
+    Object.entries(this.customPhrases).forEach(([category, phrases]) => this._index(category, phrases));
+  }
+
+  /**
+   * Add phrases to the phrasebook
+   * @param {string} category - Category name (e.g., 'greetings' or a custom one)
+   * @param {Object} phrases - { phraseId: { vi, en, zh, ... } }
+   * @param {Object} options - { persist } save to localStorage (default: true)
+   */
+  addPhrases(category, phrases, { persist = true } = {}) {
+    this._index(category, phrases);
+
+    if (persist) {
+      this.customPhrases[category] = { ...(this.customPhrases[category] || {}), ...phrases };
+      localStorage.setItem(this.storageKey, JSON.stringify(this.customPhrases));
+    }
+  }
+
+  /**
+   * Look up a phrase translation
+   * @param {string} text - Source text
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @returns {Object|null} - { text, phrase, id, category, score, exact } or null when nothing matches; phrase is the matched source phrase
+   */
+  lookup(text, sourceLang, targetLang) {
+    const normalized = TextSimilarity.normalize(text);
+    if (!normalized) return null;
+
+    const candidates = this.entries.filter((entry) => entry.normalized[sourceLang] && entry.translations[targetLang]);
+
+    const exact = candidates.find((entry) => entry.normalized[sourceLang] === normalized);
+    if (exact) {
+      return this._match(exact, sourceLang, targetLang, 1, true);
+    }
+
+    // Only short utterances can be a fuzzy variant of a phrase
+    let best = null;
+    let bestScore = 0;
+    candidates.forEach((entry) => {
+      const phrase = entry.normalized[sourceLang];
+      if (normalized.length > phrase.length * 2) return;
+
+      const score = TextSimilarity.levenshteinRatio(normalized, phrase);
+      if (score > bestScore) {
+        best = entry;
+        bestScore = score;
+      }
+    });
+
+    return best && bestScore >= this.fuzzyThreshold ? this._match(best, sourceLang, targetLang, bestScore, false) : null;
+  }
+
+  _match(entry, sourceLang, targetLang, score, exact) {
+    return { text: entry.translations[targetLang], phrase: entry.translations[sourceLang], id: entry.id, category: entry.category, score, exact };
+  }
+
+  _index(category, phrases) {
+    Object.entries(phrases).forEach(([id, translations]) => {
+      this.entries = this.entries.filter((entry) => !(entry.category === category && entry.id === id));
+
+      const normalized = {};
+      Object.entries(translations).forEach(([lang, phrase]) => {
+        normalized[lang] = TextSimilarity.normalize(phrase);
+      });
+      this.entries.push({ id, category, translations, normalized });
+    });
+  }
+
+  _loadCustomPhrases() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn("⚠️ Could not load custom phrases:", error);
+      return {};
+    }
+  }
+}
+
+// Export for use in HTML
+window.Phrasebook = Phrasebook;
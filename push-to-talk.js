@@ -0,0 +1,156 @@
+/**
+ * Push-to-Talk - Records while a key or button is held
+ * Tracks the hold from keyboard and pointer input and cuts it off after a maximum duration
+ * Events: press {}, release { reason: 'released' | 'max-duration', durationMs }
+ */
+
+// Keys typed into form fields aren't push-to-talk presses
+const PUSH_TO_TALK_IGNORED_TARGETS = "input, textarea, select, [contenteditable]";
+
+class PushToTalk extends TypedEventTarget {
+  /**
+   * @param {Object} options
+   * @param {string} options.key - KeyboardEvent.code to hold (default: Space)
+   * @param {number} options.maxDurationMs - A hold longer than this is released automatically
+   * @param {string} options.storageKey - localStorage key for the enabled state and key
+   */
+  constructor({ key = "Space", maxDurationMs = 30000, storageKey = "pushToTalk" } = {}) {
+    super({
+      press: { handler: "onPress" },
+      release: { handler: "onRelease" },
+    });
+
+    this.storageKey = storageKey;
+    this.maxDurationMs = maxDurationMs;
+
+    const saved = this._load();
+    this.enabled = saved.enabled || false;
+    this.key = saved.key || key;
+
+    this.isHeld = false;
+    this.pressedAt = null;
+    this.maxDurationTimer = null;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onKeyUp = this._onKeyUp.bind(this);
+    this._onBlur = () => this.release();
+    window.addEventListener("keydown", this._onKeyDown);
+    window.addEventListener("keyup", this._onKeyUp);
+    window.addEventListener("blur", this._onBlur);
+  }
+
+  /**
+   * Human-readable name of a key code (e.g., 'KeyT' -> 'T')
+   */
+  static keyLabel(code) {
+    return code.replace(/^Key|^Digit/, "");
+  }
+
+  setEnabled(enabled) {
+    if (!enabled) {
+      this.release();
+    }
+    this.enabled = enabled;
+    this._save();
+  }
+
+  /**
+   * @param {string} key - KeyboardEvent.code to hold
+   */
+  setKey(key) {
+    this.release();
+    this.key = key;
+    this._save();
+  }
+
+  /**
+   * Also record while a button is held down
+   * @param {HTMLElement} button
+   */
+  attachButton(button) {
+    button.addEventListener("pointerdown", (event) => {
+      if (!this.enabled || event.button !== 0) return;
+      // Keep receiving pointerup when the pointer slides off the button
+      button.setPointerCapture?.(event.pointerId);
+      this.press();
+    });
+    ["pointerup", "pointercancel"].forEach((type) => button.addEventListener(type, () => this.release()));
+  }
+
+  /**
+   * Start a hold (ignored while already held or disabled)
+   */
+  press() {
+    if (!this.enabled || this.isHeld) return;
+
+    this.isHeld = true;
+    this.pressedAt = Date.now();
+    this.maxDurationTimer = setTimeout(() => this.release("max-duration"), this.maxDurationMs);
+    console.log("🎤 Push-to-talk pressed");
+    this.emit("press", {});
+  }
+
+  /**
+   * End the current hold
+   * @param {string} reason - 'released' or 'max-duration'
+   */
+  release(reason = "released") {
+    if (!this.isHeld) return;
+
+    clearTimeout(this.maxDurationTimer);
+    this.maxDurationTimer = null;
+    this.isHeld = false;
+
+    const durationMs = Date.now() - this.pressedAt;
+    this.pressedAt = null;
+    console.log(`🎤 Push-to-talk released after ${durationMs}ms (${reason})`);
+    this.emit("release", { reason, durationMs });
+  }
+
+  /**
+   * Remove keyboard listeners
+   */
+  destroy() {
+    this.release();
+    window.removeEventListener("keydown", this._onKeyDown);
+    window.removeEventListener("keyup", this._onKeyUp);
+    window.removeEventListener("blur", this._onBlur);
+  }
+
+  _isPushToTalkKey(event) {
+    return this.enabled && event.code === this.key && !event.target?.closest?.(PUSH_TO_TALK_IGNORED_TARGETS);
+  }
+
+  _onKeyDown(event) {
+    if (!this._isPushToTalkKey(event)) return;
+
+    // Don't scroll the page or click the focused button
+    event.preventDefault();
+    if (!event.repeat) {
+      this.press();
+    }
+  }
+
+  _onKeyUp(event) {
+    if (!this._isPushToTalkKey(event)) return;
+
+    event.preventDefault();
+    this.release();
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn("⚠️ Could not load push-to-talk settings:", error);
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ enabled: this.enabled, key: this.key }));
+  }
+}
+
+// Export for use in HTML
+window.PushToTalk = PushToTalk;
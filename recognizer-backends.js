@@ -0,0 +1,587 @@
+/**
+ * Recognizer Backends - Speech recognition engines behind SpeechTranscriber
+ * Every backend has the SpeechRecognition surface the transcriber already drives:
+ *   properties: lang, continuous, interimResults, maxAlternatives
+ *   methods:    start(), stop(), abort()
+ *   handlers:   onstart, onresult({ resultIndex, results }), onerror({ error }), onend
+ * results is a list of results; each result is a list of { transcript, confidence } with an isFinal flag.
+ */
+
+class RecognizerBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Unique id used to select the backend
+   * @param {string} options.name - Display name
+   */
+  constructor({ id, name }) {
+    this.id = id;
+    this.name = name || id;
+
+    this.lang = "en-US";
+    this.continuous = false;
+    this.interimResults = false;
+    this.maxAlternatives = 1;
+
+    this.onstart = null;
+    this.onresult = null;
+    this.onerror = null;
+    this.onend = null;
+
+    this.active = false; // Between start() and the end event
+    this.results = [];
+  }
+
+  /**
+   * Whether the backend can run in this browser
+   */
+  static isSupported() {
+    return true;
+  }
+
+  start() {
+    throw new Error("start() not implemented");
+  }
+
+  stop() {
+    throw new Error("stop() not implemented");
+  }
+
+  abort() {
+    throw new Error("abort() not implemented");
+  }
+
+  /**
+   * Begin a session; throws like SpeechRecognition when one is already running
+   */
+  _beginSession() {
+    if (this.active) {
+      throw new Error("Recognition has already started");
+    }
+    this.active = true;
+    this.results = [];
+  }
+
+  _dispatchStart() {
+    this.onstart?.({ type: "start" });
+  }
+
+  /**
+   * Add or update a result and notify onresult
+   * @param {Array<Object>} alternatives - [{ transcript, confidence }] best first
+   * @param {boolean} isFinal - Final results are never changed again
+   */
+  _dispatchResult(alternatives, isFinal) {
+    // An interim result is replaced by the next interim or final result
+    const last = this.results[this.results.length - 1];
+    const resultIndex = last && !last.isFinal ? this.results.length - 1 : this.results.length;
+
+    const result = alternatives.slice(0, Math.max(1, this.maxAlternatives));
+    result.isFinal = isFinal;
+    this.results[resultIndex] = result;
+
+    if (isFinal || this.interimResults) {
+      this.onresult?.({ type: "result", resultIndex, results: this.results });
+    }
+  }
+
+  _dispatchError(error, message = "") {
+    this.onerror?.({ type: "error", error, message });
+  }
+
+  /**
+   * End the session once - later calls are ignored
+   */
+  _dispatchEnd() {
+    if (!this.active) return;
+    this.active = false;
+    this.onend?.({ type: "end" });
+  }
+}
+
+/**
+ * Browser speech engine (window.SpeechRecognition) - Chrome sends audio to Google's cloud
+ */
+class WebSpeechBackend extends RecognizerBackend {
+  constructor() {
+    super({ id: "webspeech", name: "Browser speech recognition" });
+    this.recognition = new window.SpeechRecognition();
+
+    // Forward native events to whichever handlers the transcriber assigned
+    ["onstart", "onresult", "onerror", "onend"].forEach((handler) => {
+      this.recognition[handler] = (event) => this[handler]?.(event);
+    });
+  }
+
+  static isSupported() {
+    return Boolean(window.SpeechRecognition);
+  }
+
+  start() {
+    ["lang", "continuous", "interimResults", "maxAlternatives"].forEach((property) => {
+      this.recognition[property] = this[property];
+    });
+    this.recognition.start();
+  }
+
+  stop() {
+    this.recognition.stop();
+  }
+
+  abort() {
+    this.recognition.abort();
+  }
+}
+
+/**
+ * Streams microphone PCM (16 kHz, 16-bit mono) to a local speech recognition server
+ * - WebSocket (ws:// or wss://): sends {"type":"start","language","sampleRate"}, binary PCM frames, then
+ *   {"type":"stop"}; the server replies with {"text","final","confidence"?,"alternatives"?} messages
+ * - HTTP (http:// or https://): detects utterances locally and uploads each one as WAV through
+ *   HttpFileRecognizer, e.g. to a whisper.cpp server's /inference endpoint
+ */
+class StreamingAsrBackend extends RecognizerBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - ws:// streaming URL or http:// transcription URL
+   * @param {number} options.sampleRate - PCM sample rate sent to the server
+   * @param {number} options.speechThreshold - Minimum RMS level treated as speech (HTTP mode)
+   * @param {number} options.endSilenceMs - Pause that ends an utterance (HTTP mode)
+   * @param {number} options.maxUtteranceMs - Longer utterances are cut and sent (HTTP mode)
+   * @param {number} options.noSpeechTimeoutMs - Single-shot sessions end with 'no-speech' after this
+   * @param {AudioInputManager} options.audioInput - Shared microphone (a private one when not given)
+   */
+  constructor({ endpoint = "ws://localhost:8765", sampleRate = 16000, speechThreshold = 0.01, endSilenceMs = 800, maxUtteranceMs = 25000, noSpeechTimeoutMs = 8000, audioInput = null } = {}) {
+    super({ id: "streaming", name: "Local ASR server" });
+    this.endpoint = endpoint;
+    this.sampleRate = sampleRate;
+    this.speechThreshold = speechThreshold;
+    this.endSilenceMs = endSilenceMs;
+    this.maxUtteranceMs = maxUtteranceMs;
+    this.noSpeechTimeoutMs = noSpeechTimeoutMs;
+
+    this.fileRecognizer = new HttpFileRecognizer();
+    this.audioInput = audioInput || new AudioInputManager();
+    this.tap = null;
+    this.audioContext = null;
+    this.processor = null;
+    this.socket = null;
+    this.sessionId = 0;
+    this.pendingRequests = Promise.resolve();
+    this._resetUtterance();
+  }
+
+  static isSupported() {
+    return Boolean(navigator.mediaDevices?.getUserMedia && (window.AudioContext || window.webkitAudioContext));
+  }
+
+  /**
+   * Point the backend at a different server
+   * @param {string} endpoint - ws:// streaming URL or http:// transcription URL
+   */
+  setEndpoint(endpoint) {
+    this.endpoint = endpoint.trim();
+  }
+
+  get usesWebSocket() {
+    return /^wss?:\/\//i.test(this.endpoint);
+  }
+
+  start() {
+    this._beginSession();
+    const session = ++this.sessionId;
+    this.stopping = false;
+    this.heardSpeech = false;
+    this.pendingRequests = Promise.resolve();
+    this._resetUtterance();
+
+    this._open(session).then(
+      () => {
+        if (!this._isCurrent(session)) return;
+        this._dispatchStart();
+        console.log(`🎤 Streaming to ${this.endpoint}`);
+
+        if (!this.continuous) {
+          this.noSpeechTimer = setTimeout(() => {
+            if (this.heardSpeech) return;
+            this._dispatchError("no-speech");
+            this._finish();
+          }, this.noSpeechTimeoutMs);
+        }
+      },
+      (error) => {
+        if (!this._isCurrent(session)) return;
+        console.error("❌ Streaming recognizer error:", error);
+        this._dispatchError(this._errorCode(error), error.message);
+        this._finish();
+      }
+    );
+  }
+
+  stop() {
+    if (!this.active || this.stopping) return;
+    this.stopping = true;
+    this._closeMicrophone();
+
+    if (this.usesWebSocket) {
+      // The server sends its last results and closes the socket
+      if (this.socket?.readyState === WebSocket.OPEN) {
+        this.socket.send(JSON.stringify({ type: "stop" }));
+        this.closeTimer = setTimeout(() => this._finish(), 3000);
+      } else {
+        this._finish();
+      }
+      return;
+    }
+
+    // Transcribe what was said so far, then end
+    if (this.utterance.length > 0 && this.heardSpeech) {
+      this._sendUtterance();
+    }
+    this.pendingRequests.then(() => this._finish());
+  }
+
+  abort() {
+    if (!this.active) return;
+    this._dispatchError("aborted");
+    this._finish();
+  }
+
+  /**
+   * Whether a session is still the running one (it may have been stopped while connecting)
+   */
+  _isCurrent(session) {
+    return session === this.sessionId && this.active && !this.stopping;
+  }
+
+  async _open(session) {
+    if (this.usesWebSocket) {
+      await this._openSocket();
+    }
+    await this._openMicrophone(session);
+  }
+
+  _openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.endpoint);
+      socket.binaryType = "arraybuffer";
+      this.socket = socket;
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: "start", language: this.lang, sampleRate: this.sampleRate, interimResults: this.interimResults }));
+        resolve();
+      };
+      socket.onerror = () => reject(new TypeError(`Could not connect to ${this.endpoint}`));
+      socket.onmessage = (event) => this._handleServerMessage(event.data);
+      socket.onclose = () => {
+        if (this.active && !this.stopping) {
+          this._dispatchError("network", "ASR server closed the connection");
+        }
+        this._finish();
+      };
+    });
+  }
+
+  _handleServerMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn("⚠️ Ignoring invalid ASR server message:", data);
+      return;
+    }
+    if (!message.text) return;
+
+    this.heardSpeech = true;
+    const alternatives = message.alternatives?.length ? message.alternatives : [{ text: message.text, confidence: message.confidence }];
+    this._dispatchResult(
+      alternatives.map((alternative) => ({ transcript: alternative.text, confidence: alternative.confidence ?? 0 })),
+      message.final !== false
+    );
+
+    // Single-shot sessions end after the first final result
+    if (message.final !== false && !this.continuous) {
+      this.stop();
+    }
+  }
+
+  async _openMicrophone(session) {
+    const tap = await this.audioInput.acquire("streaming-asr");
+
+    // Stopped while the permission prompt was open
+    if (!this._isCurrent(session)) {
+      tap.release();
+      return;
+    }
+    this.tap = tap;
+    this.audioContext = tap.audioContext;
+
+    // ScriptProcessor only runs while connected to the destination; its output stays silent
+    this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+    this.processor.onaudioprocess = (event) => {
+      if (!this.active || this.stopping) return;
+      this._handleAudio(this._downsample(event.inputBuffer.getChannelData(0), this.audioContext.sampleRate));
+    };
+    tap.connect(this.processor);
+    this.processor.connect(this.audioContext.destination);
+  }
+
+  _closeMicrophone() {
+    if (this.processor) {
+      this.processor.onaudioprocess = null;
+      this.processor.disconnect();
+      this.processor = null;
+    }
+    // The shared microphone closes once no other consumer uses it
+    if (this.tap) {
+      this.tap.release();
+      this.tap = null;
+    }
+    this.audioContext = null;
+  }
+
+  _handleAudio(samples) {
+    if (this.usesWebSocket) {
+      if (this.socket?.readyState === WebSocket.OPEN) {
+        this.socket.send(this._toPcm16(samples));
+      }
+      return;
+    }
+
+    this._detectUtterance(samples);
+  }
+
+  /**
+   * Energy-based endpointing: collect audio while speaking, send it after a pause
+   */
+  _detectUtterance(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / samples.length);
+    const chunkMs = (samples.length / this.sampleRate) * 1000;
+    const isSpeech = rms >= Math.max(this.speechThreshold, this.noiseFloor * 3);
+
+    if (!isSpeech) {
+      this.noiseFloor = this.noiseFloor * 0.95 + rms * 0.05;
+    }
+
+    if (isSpeech) {
+      this.heardSpeech = true;
+      this.inSpeech = true;
+      this.silenceMs = 0;
+    } else if (this.inSpeech) {
+      this.silenceMs += chunkMs;
+    }
+
+    // Keep a little audio before speech starts so the first syllable isn't cut off
+    this.utterance.push(samples);
+    this.utteranceMs += chunkMs;
+    if (!this.inSpeech && this.utterance.length > 3) {
+      this.utteranceMs -= (this.utterance.shift().length / this.sampleRate) * 1000;
+    }
+
+    if (this.inSpeech && (this.silenceMs >= this.endSilenceMs || this.utteranceMs >= this.maxUtteranceMs)) {
+      this._sendUtterance();
+      if (!this.continuous) {
+        this.stop();
+      }
+    }
+  }
+
+  _sendUtterance() {
+    const length = this.utterance.reduce((sum, chunk) => sum + chunk.length, 0);
+    const samples = new Float32Array(length);
+    let offset = 0;
+    this.utterance.forEach((chunk) => {
+      samples.set(chunk, offset);
+      offset += chunk.length;
+    });
+    this._resetUtterance();
+
+    const audio = AudioFileUtils.encodeWav(samples, this.sampleRate);
+    this.fileRecognizer.setEndpoint(this.endpoint);
+
+    // Requests run one at a time so results arrive in speaking order
+    this.pendingRequests = this.pendingRequests.then(async () => {
+      try {
+        const { text } = await this.fileRecognizer.recognize({ audio, language: this.lang });
+        if (text && this.active) {
+          this._dispatchResult([{ transcript: text, confidence: 0 }], true);
+        }
+      } catch (error) {
+        console.error("❌ ASR request failed:", error);
+        if (this.active) {
+          this._dispatchError("network", error.message);
+        }
+      }
+    });
+  }
+
+  _resetUtterance() {
+    this.utterance = [];
+    this.utteranceMs = 0;
+    this.inSpeech = false;
+    this.silenceMs = 0;
+    this.noiseFloor = this.noiseFloor || 0;
+  }
+
+  _finish() {
+    clearTimeout(this.noSpeechTimer);
+    clearTimeout(this.closeTimer);
+    this._closeMicrophone();
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.onclose = null;
+      socket.onmessage = null;
+      if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+        socket.close();
+      }
+    }
+
+    this._dispatchEnd();
+  }
+
+  /**
+   * Map getUserMedia/connection failures to SpeechRecognition error names
+   */
+  _errorCode(error) {
+    if (error.name === "NotAllowedError" || error.name === "SecurityError") return "not-allowed";
+    if (error.name === "NotFoundError" || error.name === "NotReadableError" || error.name === "OverconstrainedError") return "audio-capture";
+    if (error instanceof TypeError) return "network";
+    return "unknown";
+  }
+
+  /**
+   * Average input samples down to the server sample rate
+   */
+  _downsample(input, inputRate) {
+    if (inputRate === this.sampleRate) return new Float32Array(input);
+
+    const ratio = inputRate / this.sampleRate;
+    const output = new Float32Array(Math.floor(input.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(input.length, Math.floor((i + 1) * ratio));
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += input[j];
+      output[i] = sum / Math.max(1, end - start);
+    }
+    return output;
+  }
+
+  _toPcm16(samples) {
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+    }
+    return pcm.buffer;
+  }
+}
+
+/**
+ * Plays back a fixed script of recognition results - exercises the pipeline without a speech engine
+ */
+class ScriptedBackend extends RecognizerBackend {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.script - Steps played in order across sessions:
+   *   { text, confidence, alternatives: [{ text, confidence }], interim: [partial texts], error, delayMs }
+   *   error steps end the session with that SpeechRecognition error name (e.g., 'no-speech', 'network')
+   * @param {boolean} options.loop - Start over when the script runs out
+   * @param {number} options.delayMs - Default delay before each step
+   */
+  constructor({ script = [], loop = true, delayMs = 600 } = {}) {
+    super({ id: "scripted", name: "Scripted (testing)" });
+    this.script = script;
+    this.loop = loop;
+    this.delayMs = delayMs;
+    this.cursor = 0;
+    this.timers = [];
+  }
+
+  start() {
+    this._beginSession();
+    this._schedule(0, () => {
+      this._dispatchStart();
+      this._playNext();
+    });
+  }
+
+  stop() {
+    if (!this.active) return;
+    this._clearTimers();
+    this._schedule(0, () => this._dispatchEnd());
+  }
+
+  abort() {
+    if (!this.active) return;
+    this._clearTimers();
+    this._schedule(0, () => {
+      this._dispatchError("aborted");
+      this._dispatchEnd();
+    });
+  }
+
+  _playNext() {
+    if (this.cursor >= this.script.length) {
+      if (!this.loop || this.script.length === 0) {
+        // Nothing left to say: single-shot sessions end like silence, continuous ones keep waiting
+        if (!this.continuous) this._dispatchEnd();
+        return;
+      }
+      this.cursor = 0;
+    }
+
+    const step = this.script[this.cursor++];
+    const delayMs = step.delayMs ?? this.delayMs;
+
+    // Interim texts are spread evenly before the final result
+    const interim = step.interim || [];
+    interim.forEach((partial, index) => {
+      this._schedule((delayMs * (index + 1)) / (interim.length + 1), () => this._dispatchResult([{ transcript: partial, confidence: 0 }], false));
+    });
+
+    this._schedule(delayMs, () => {
+      if (step.error) {
+        this._dispatchError(step.error);
+        this._dispatchEnd();
+        return;
+      }
+
+      const alternatives = [{ text: step.text, confidence: step.confidence ?? 0.9 }, ...(step.alternatives || [])];
+      this._dispatchResult(
+        alternatives.map((alternative) => ({ transcript: alternative.text, confidence: alternative.confidence ?? 0 })),
+        true
+      );
+
+      if (this.continuous) {
+        this._playNext();
+      } else {
+        this._dispatchEnd();
+      }
+    });
+  }
+
+  _schedule(delayMs, callback) {
+    const timer = setTimeout(() => {
+      this.timers = this.timers.filter((other) => other !== timer);
+      callback();
+    }, delayMs);
+    this.timers.push(timer);
+  }
+
+  _clearTimers() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers = [];
+  }
+}
+
+// Export for use in HTML
+window.RecognizerBackend = RecognizerBackend;
+window.WebSpeechBackend = WebSpeechBackend;
+window.StreamingAsrBackend = StreamingAsrBackend;
+window.ScriptedBackend = ScriptedBackend;
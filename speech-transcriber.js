@@ -3,16 +3,92 @@
  * Provides functions to convert speech audio to text in multiple languages
  */
 
-class SpeechTranscriber {
-  constructor() {
+// User-facing message for each TranscriptionError code
+const TRANSCRIPTION_ERROR_MESSAGES = {
+  "no-speech": "No speech detected. Speak closer to the microphone and try again.",
+  "permission-denied": "Microphone access is blocked. Allow it in the browser's site settings, then try again.",
+  network: "Speech recognition needs a network connection. Check your connection and try again.",
+  aborted: "Transcription was cancelled.",
+  unsupported: "Speech recognition is not supported in this browser. Try Chrome or Edge, or transcribe an audio file.",
+  "audio-capture": "No microphone was found or it is in use by another app.",
+  unknown: "Speech recognition failed.",
+};
+
+// Web Speech API error names -> TranscriptionError codes
+const SPEECH_ERROR_CODES = {
+  "no-speech": "no-speech",
+  "not-allowed": "permission-denied",
+  "service-not-allowed": "permission-denied",
+  network: "network",
+  aborted: "aborted",
+  "language-not-supported": "unsupported",
+  "audio-capture": "audio-capture",
+};
+
+/**
+ * Error raised by SpeechTranscriber - carries a code the UI maps to a recovery action
+ */
+class TranscriptionError extends Error {
+  /**
+   * @param {string} code - no-speech, permission-denied, network, aborted, unsupported, audio-capture or unknown
+   * @param {Object} details
+   * @param {string} details.message - Overrides the default user-facing message
+   * @param {string} details.speechError - Original SpeechRecognition error name, if any
+   */
+  constructor(code, { message = null, speechError = null } = {}) {
+    super(message || TRANSCRIPTION_ERROR_MESSAGES[code] || TRANSCRIPTION_ERROR_MESSAGES.unknown);
+    this.name = "TranscriptionError";
+    this.code = TRANSCRIPTION_ERROR_MESSAGES[code] ? code : "unknown";
+    this.speechError = speechError;
+  }
+
+  /**
+   * Build an error from a SpeechRecognition error event name
+   * @param {string} speechError - e.g., 'not-allowed', 'network'
+   */
+  static fromSpeechError(speechError) {
+    return new TranscriptionError(SPEECH_ERROR_CODES[speechError] || "unknown", { speechError });
+  }
+}
+
+/**
+ * Events: status { message, type }, interim { text }, final { text, confidence, alternatives } (continuous mode),
+ * error { error } (errors with no promise to reject)
+ */
+class SpeechTranscriber extends TypedEventTarget {
+  /**
+   * @param {Object} options
+   * @param {RecognizerBackend} options.backend - Speech engine (default: the browser's, when available)
+   */
+  constructor({ backend = WebSpeechBackend.isSupported() ? new WebSpeechBackend() : null } = {}) {
+    super({
+      status: { handler: "onStatusChanged", args: ({ message, type }) => [message, type] },
+      interim: { handler: "onInterimResult", args: ({ text }) => [text] },
+      final: { handler: "onFinalResult", args: ({ text }) => [text] },
+      error: { handler: "onError", args: ({ error }) => [error] },
+    });
+
     this.currentCallback = null;
     this.currentResolve = null;
     this.currentReject = null;
-    this.recognition = this._initializeRecognition();
+    this.currentDetailed = false; // Resolve with { text, confidence, alternatives } instead of text
+    this.maxAlternatives = 3; // Recognition hypotheses kept per result
+    this.recognition = this._initializeRecognition(backend);
     this.isTranscribing = false;
     this.onStatusChanged = null;
+    this.onError = null; // Errors with no promise to reject (continuous mode, permission request)
     this.permissionGranted = false; // Track if permission was requested
     this.fileCleanupInterval = null; // Track cleanup interval for fromFile()
+    this.fileRecognizer = null; // Speech-to-text engine for fromFile() segments
+    this.fileAbortController = null;
+    this.recognitionActive = false; // A session is running (from start() until onend)
+    this.pendingStart = null; // Start deferred until the aborted previous session has ended
+
+    // Continuous mode: interim/final segments are emitted while the speaker keeps talking
+    this.isContinuous = false;
+    this.continuousRestartDelayMs = 250;
+    this.onInterimResult = null;
+    this.onFinalResult = null;
   }
 
   /**
@@ -26,10 +102,10 @@ class SpeechTranscriber {
       }
 
       console.log("📍 Requesting microphone permission...");
-      this.onStatusChanged?.("Requesting microphone permission...", "active");
+      this.emit("status", { message: "Requesting microphone permission...", type: "active" });
 
       // Start and immediately stop to trigger permission request
-      this.recognition.start();
+      this._startRecognition();
 
       // Wait for recognition to initialize
       return new Promise((resolve) => {
@@ -37,7 +113,7 @@ class SpeechTranscriber {
           this.recognition.stop();
           this.permissionGranted = true;
           console.log("✓ Microphone permission granted");
-          this.onStatusChanged?.("Microphone ready", "success");
+          this.emit("status", { message: "Microphone ready", type: "success" });
           resolve(true);
         }, 500);
       });
@@ -47,52 +123,116 @@ class SpeechTranscriber {
     }
   }
 
+  /**
+   * Switch the speech engine; any running session is cancelled
+   * @param {RecognizerBackend} backend - Backend with the SpeechRecognition surface
+   */
+  setBackend(backend) {
+    const previous = this.recognition;
+    const language = previous?.lang;
+
+    this.isContinuous = false;
+    this._cancelPendingStart();
+    this._rejectCurrent(new TranscriptionError("aborted"));
+
+    if (previous) {
+      // Detach first so the old engine's abort doesn't reach the new session
+      ["onstart", "onresult", "onerror", "onend"].forEach((handler) => {
+        previous[handler] = null;
+      });
+      if (this.recognitionActive) {
+        previous.abort();
+      }
+    }
+
+    this.recognitionActive = false;
+    this.isTranscribing = false;
+    this.permissionGranted = false;
+    this.recognition = this._initializeRecognition(backend);
+    if (this.recognition && language) {
+      this.recognition.lang = language;
+    }
+    console.log(`✓ Speech recognition backend: ${backend?.name || "none"}`);
+  }
+
   /**
    * Initialize Speech Recognition for multiple languages
+   * @param {RecognizerBackend} recognition - Backend to attach the session handlers to
    */
-  _initializeRecognition() {
+  _initializeRecognition(recognition) {
     try {
-      if (!window.SpeechRecognition) {
+      if (!recognition) {
         console.warn("Speech Recognition not supported");
         return null;
       }
 
-      console.log("📍 Initializing Speech Recognition");
+      console.log("📍 Initializing Speech Recognition:", recognition.name);
 
-      const recognition = new window.SpeechRecognition();
       recognition.lang = "vi-VN"; // Vietnamese
       recognition.continuous = false;
       recognition.interimResults = false;
+      recognition.maxAlternatives = this.maxAlternatives;
 
-      let currentTranscript = "";
+      let currentResults = []; // Alternatives for each result of this session
+      let sessionError = null; // Reported by onerror; onend must not report the session again
 
       recognition.onstart = () => {
         this.permissionGranted = true; // Permission granted once started
         if (this.isTranscribing) {
-          this.onStatusChanged?.("Listening...", "active");
+          this.emit("status", { message: "Listening...", type: "active" });
         }
         console.log("🎤 Speech transcription started");
-        currentTranscript = "";
+        currentResults = [];
+        sessionError = null;
       };
 
       recognition.onresult = (event) => {
+        if (this.isContinuous) {
+          this._handleContinuousResult(event);
+          return;
+        }
+
         for (let i = event.resultIndex; i < event.results.length; i++) {
-          currentTranscript += event.results[i][0].transcript;
+          currentResults[i] = this._readAlternatives(event.results[i]);
         }
       };
 
       recognition.onend = () => {
+        this.recognitionActive = false;
+
+        // A new session was requested while this one was being aborted
+        if (this.pendingStart) {
+          const start = this.pendingStart;
+          this.pendingStart = null;
+          start();
+          return;
+        }
+
+        // Browsers end sessions after silence or a time limit - keep listening in continuous mode
+        if (this.isContinuous) {
+          this._restartContinuous();
+          return;
+        }
+
+        // The error was already reported and the promise rejected
+        if (sessionError) {
+          sessionError = null;
+          currentResults = [];
+          this.isTranscribing = false;
+          return;
+        }
+
+        const recognized = this._combineResults(currentResults.filter(Boolean));
+        const currentTranscript = recognized.text;
         console.log("🎤 Speech transcription ended:", currentTranscript);
-        console.log("✓ Transcribed text:", currentTranscript);
-        this.onStatusChanged?.("Transcription complete", "success");
+        console.log("✓ Transcribed text:", currentTranscript, recognized.confidence !== null ? `(${Math.round(recognized.confidence * 100)}%)` : "");
+        this.emit("status", { message: "Transcription complete", type: "success" });
 
         if (currentTranscript.trim().length === 0) {
           this.isTranscribing = false;
           console.warn("⚠️ No speech detected");
-          this.onStatusChanged?.("No speech detected", "info");
-          this.currentReject?.(new Error("No speech detected"));
-          this.currentReject = null;
-          this.currentResolve = null;
+          this.emit("status", { message: "No speech detected", type: "info" });
+          this._rejectCurrent(new TranscriptionError("no-speech"));
           return;
         }
 
@@ -103,20 +243,42 @@ class SpeechTranscriber {
 
         // Resolve Promise if exists
         if (this.currentResolve) {
-          this.currentResolve(currentTranscript);
+          this.currentResolve(this.currentDetailed ? recognized : currentTranscript);
         }
 
         // Reset for next use
-        currentTranscript = "";
+        currentResults = [];
         this.isTranscribing = false;
         this.currentResolve = null;
         this.currentReject = null;
       };
 
       recognition.onerror = (event) => {
+        // The previous session reporting its abort while a new one waits to start
+        if (this.pendingStart) return;
+
+        const error = TranscriptionError.fromSpeechError(event.error);
+        if (error.code === "permission-denied") {
+          this.permissionGranted = false;
+        }
+
+        // Silence and restarts are expected in continuous mode; onend restarts the session
+        if (this.isContinuous) {
+          if (error.code === "no-speech" || error.code === "aborted") return;
+          this.isContinuous = false;
+        }
+
+        sessionError = error;
         this.isTranscribing = false;
         console.error("❌ Transcription error:", event.error);
-        this.onStatusChanged?.("Error: " + event.error, "error");
+        this.emit("status", { message: error.message, type: "error" });
+
+        // Always settle the pending fromMicrophone() promise
+        if (this.currentReject) {
+          this._rejectCurrent(error);
+        } else {
+          this.emit("error", { error });
+        }
       };
 
       return recognition;
@@ -129,58 +291,314 @@ class SpeechTranscriber {
   /**
    * Transcribe from microphone with configurable language - returns a Promise
    * @param {string} language - Language code (default: en-US)
-   * @returns {Promise<string>} - Promise that resolves with transcribed text
+   * @param {Object} options - { detailed, holdOpen }
+   *   detailed - resolve with { text, confidence, alternatives: [{ text, confidence }] }
+   *   holdOpen - keep listening through pauses until stop() (push-to-talk) instead of ending at the first silence
+   * @returns {Promise<string|Object>} - Promise that resolves with transcribed text
    */
-  fromMicrophone(language = "en-US") {
+  fromMicrophone(language = "en-US", { detailed = false, holdOpen = false } = {}) {
     return new Promise((resolve, reject) => {
-      try {
-        if (!this.recognition) {
-          throw new Error("Speech Recognition not supported");
-        }
+      if (!this.recognition) {
+        this._failStart(new TranscriptionError("unsupported"), reject);
+        return;
+      }
+
+      // A caller still waiting on an earlier session would otherwise never settle
+      this._rejectCurrent(new TranscriptionError("aborted"));
+
+      // Set recognition language dynamically
+      this.recognition.lang = language;
+      this.recognition.continuous = holdOpen;
+      this.recognition.interimResults = false;
+
+      // Store resolve/reject for this transcription session
+      this.currentResolve = resolve;
+      this.currentReject = reject;
+      this.currentCallback = null; // Clear any old callback
+      this.currentDetailed = detailed;
+      this.isTranscribing = true;
+
+      this._restartRecognition(() => {
+        this.emit("status", { message: "Recording audio...", type: "active" });
+      });
+    });
+  }
+
+  /**
+   * Start continuous transcription: emits interim and final segments until stopContinuous()
+   * and restarts automatically when the browser ends the recognition session
+   * @param {string} language - Language code (default: en-US)
+   */
+  startContinuous(language = "en-US") {
+    if (!this.recognition) {
+      throw new TranscriptionError("unsupported");
+    }
+
+    this._rejectCurrent(new TranscriptionError("aborted"));
+    this.recognition.lang = language;
+    this.recognition.continuous = true;
+    this.recognition.interimResults = true;
+
+    this.isContinuous = true;
+    this.isTranscribing = true;
+
+    this._restartRecognition(() => {
+      this.emit("status", { message: "Listening continuously...", type: "active" });
+    });
+  }
+
+  /**
+   * Stop continuous transcription
+   */
+  stopContinuous() {
+    if (!this.recognition) return;
+
+    this.isContinuous = false;
+    this.isTranscribing = false;
+    this.recognition.stop();
+    this.recognition.continuous = false;
+    this.recognition.interimResults = false;
+    this.emit("status", { message: "Continuous transcription stopped", type: "active" });
+  }
+
+  /**
+   * Emit final segments as they are confirmed and the current interim text
+   */
+  _handleContinuousResult(event) {
+    let interimTranscript = "";
 
-        // Set recognition language dynamically
-        this.recognition.lang = language;
-
-        // Store resolve/reject for this transcription session
-        this.currentResolve = resolve;
-        this.currentReject = reject;
-        this.currentCallback = null; // Clear any old callback
-        this.isTranscribing = true;
-        // reset current transcript
-        if (this.recognition) {
-          this.recognition.abort();
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const transcript = event.results[i][0].transcript;
+      if (event.results[i].isFinal) {
+        if (transcript.trim().length > 0) {
+          console.log("✓ Final segment:", transcript);
+          const { confidence, alternatives } = this._combineResults([this._readAlternatives(event.results[i])]);
+          this.emit("final", { text: transcript.trim(), confidence, alternatives });
         }
-        this.recognition.start();
-        this.onStatusChanged?.("Recording audio...", "active");
+      } else {
+        interimTranscript += transcript;
+      }
+    }
+
+    this.emit("interim", { text: interimTranscript });
+  }
+
+  /**
+   * Read the hypotheses of one recognition result
+   * @returns {Array<Object>} - [{ text, confidence }] best first; confidence is null when the browser reports none
+   */
+  _readAlternatives(result) {
+    return Array.from({ length: result.length }, (_, index) => ({
+      text: result[index].transcript,
+      // Browsers report 0 for alternatives they didn't score
+      confidence: result[index].confidence > 0 ? result[index].confidence : null,
+    }));
+  }
+
+  /**
+   * Join the results of a session into one transcript with n-best alternatives
+   * The k-th alternative joins each result's k-th hypothesis (or its last one when it has fewer)
+   * @param {Array<Array<Object>>} results - Alternatives per result, from _readAlternatives()
+   * @returns {Object} - { text, confidence, alternatives: [{ text, confidence }] }
+   */
+  _combineResults(results) {
+    const count = Math.max(0, ...results.map((alternatives) => alternatives.length));
+    const alternatives = [];
+
+    for (let k = 0; k < count; k++) {
+      const parts = results.map((hypotheses) => hypotheses[Math.min(k, hypotheses.length - 1)]);
+      const text = parts.map((part) => part.text).join("").trim();
+      const scores = parts.map((part) => part.confidence).filter((confidence) => confidence !== null);
+      const confidence = scores.length === parts.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+
+      if (text && !alternatives.some((alternative) => alternative.text === text)) {
+        alternatives.push({ text, confidence });
+      }
+    }
+
+    return { text: alternatives[0]?.text || "", confidence: alternatives[0]?.confidence ?? null, alternatives };
+  }
+
+  /**
+   * Start a new recognition session after the browser's session cutoff
+   */
+  _restartContinuous() {
+    this.emit("interim", { text: "" });
+    setTimeout(() => {
+      if (!this.isContinuous) return;
+      try {
+        this._startRecognition();
+        console.log("🔄 Continuous transcription restarted");
       } catch (error) {
-        this.isTranscribing = false;
-        console.error("❌ Error:", error);
-        this.onStatusChanged?.("Error: " + error.message, "error");
-        reject(error);
+        console.warn("⚠️ Could not restart continuous transcription:", error);
       }
-    });
+    }, this.continuousRestartDelayMs);
+  }
+
+  /**
+   * Start a new recognition session, aborting the current one first
+   * abort() ends a session asynchronously, so the start waits for its onend
+   * @param {Function} onStarted - Called once start() has been issued
+   */
+  _restartRecognition(onStarted) {
+    const begin = () => {
+      try {
+        this._startRecognition();
+        onStarted?.();
+      } catch (error) {
+        const reject = this.currentReject;
+        this.currentResolve = null;
+        this.currentReject = null;
+        this.isContinuous = false;
+        this._failStart(new TranscriptionError("unknown", { message: `Could not start speech recognition: ${error.message}` }), reject);
+      }
+    };
+
+    if (this.recognitionActive) {
+      this.pendingStart = begin;
+      this.recognition.abort();
+    } else {
+      begin();
+    }
+  }
+
+  _startRecognition() {
+    this.recognition.start();
+    this.recognitionActive = true;
   }
 
   /**
-   * Manual input fallback
+   * Report an error raised before a session started
+   * @param {TranscriptionError} error
+   * @param {Function} reject - Promise to reject; onError is used when there is none
    */
-  _manualInput(onTranscribed) {
-    const inputText = prompt("Please enter the text:") || "";
-    if (inputText) {
-      console.log("✓ Manual input:", inputText);
-      this.onStatusChanged?.("Text ready", "success");
-      onTranscribed?.(inputText);
+  _failStart(error, reject) {
+    this.isTranscribing = false;
+    console.error("❌ Error:", error);
+    this.emit("status", { message: error.message, type: "error" });
+    if (reject) {
+      reject(error);
+    } else {
+      this.emit("error", { error });
     }
   }
 
+  /**
+   * Reject the pending fromMicrophone() promise, if any
+   */
+  _rejectCurrent(error) {
+    const reject = this.currentReject;
+    this.currentResolve = null;
+    this.currentReject = null;
+    reject?.(error);
+  }
+
+  /**
+   * Transcribe an audio file (WAV/WebM/OGG/MP3): decode, split on silence, recognize each segment
+   * @param {Blob} file - Audio file
+   * @param {Object} options
+   * @param {string} options.language - Language code (default: en-US)
+   * @param {Object} options.recognizer - Recognizer with recognize() (default: this.fileRecognizer)
+   * @param {Function} options.onSegment - Called with each recognized segment as it completes
+   * @returns {Promise<Array<Object>>} - [{ start, end, text }] with start/end in seconds
+   */
+  async fromFile(file, { language = "en-US", recognizer = this.fileRecognizer, onSegment = null } = {}) {
+    if (!recognizer) {
+      throw new TranscriptionError("unsupported", { message: "No transcription server is configured for audio files." });
+    }
+    if (this.isTranscribing) {
+      throw new TranscriptionError("unknown", { message: "A transcription is already in progress." });
+    }
+
+    this.isTranscribing = true;
+    this.fileAbortController = new AbortController();
+    const { signal } = this.fileAbortController;
+
+    try {
+      console.log("📍 Decoding audio file:", file.name);
+      this.emit("status", { message: `Decoding ${file.name || "audio file"}...`, type: "active" });
+
+      const { samples, sampleRate, duration } = await AudioFileUtils.decode(file);
+      const segments = AudioFileUtils.segmentOnSilence(samples, sampleRate);
+      console.log(`✓ Decoded ${duration.toFixed(1)}s of audio into ${segments.length} segment(s)`);
+
+      if (segments.length === 0) {
+        throw new TranscriptionError("no-speech", { message: "No speech found in the audio file." });
+      }
+
+      const transcript = [];
+      for (let i = 0; i < segments.length; i++) {
+        signal.throwIfAborted();
+
+        const { start, end } = segments[i];
+        this.emit("status", { message: `Transcribing segment ${i + 1}/${segments.length}...`, type: "active" });
+
+        const audio = AudioFileUtils.encodeWav(segments[i].samples, sampleRate);
+        const { text } = await recognizer.recognize({ audio, language, start, end }, { signal });
+        if (!text) continue;
+
+        const segment = { start, end, text };
+        transcript.push(segment);
+        onSegment?.(segment);
+      }
+
+      console.log("✓ File transcription complete:", transcript.length, "segment(s)");
+      this.emit("status", { message: "File transcription complete", type: "success" });
+      return transcript;
+    } catch (caught) {
+      const error = this._toFileError(caught, signal);
+      console.error("❌ File transcription error:", error);
+      this.emit("status", { message: error.message, type: "error" });
+      throw error;
+    } finally {
+      this.isTranscribing = false;
+      this.fileAbortController = null;
+    }
+  }
+
+  _toFileError(error, signal) {
+    if (signal.aborted) return new TranscriptionError("aborted", { message: "File transcription was cancelled." });
+    if (error instanceof TranscriptionError) return error;
+    // fetch() rejects with a TypeError when the server can't be reached
+    if (error instanceof TypeError) return new TranscriptionError("network", { message: "Could not reach the transcription server. Check its address and that it is running." });
+    return new TranscriptionError("unknown", { message: error.message });
+  }
+
+  /**
+   * Cancel an in-progress fromFile(), including the pending recognizer request
+   */
+  cancelFile() {
+    this.fileAbortController?.abort();
+  }
+
+  /**
+   * Use typed text as the transcript - for noisy places or when speech recognition is unavailable
+   * The text is kept exactly as typed, line breaks included
+   * @param {string} text - Typed or pasted text
+   * @param {Object} options - { detailed } resolve with { text, confidence, alternatives } like fromMicrophone()
+   * @returns {Promise<string|Object>} - Rejects with TranscriptionError('no-speech') when the text is blank
+   */
+  fromText(text, { detailed = false } = {}) {
+    if (!text || text.trim().length === 0) {
+      return Promise.reject(new TranscriptionError("no-speech", { message: "Type or paste some text to translate." }));
+    }
+
+    console.log("✓ Typed input:", text);
+    this.emit("status", { message: "Text ready", type: "success" });
+
+    // Typed text is certain: no recognition confidence or other hypotheses
+    return Promise.resolve(detailed ? { text, confidence: null, alternatives: [{ text, confidence: null }] } : text);
+  }
+
   /**
    * Stop transcription
    */
   stop() {
     if (this.recognition) {
+      this._cancelPendingStart();
       this.isTranscribing = false;
       this.recognition.stop();
-      this.onStatusChanged?.("Transcription stopped", "active");
+      this.emit("status", { message: "Transcription stopped", type: "active" });
     }
   }
 
@@ -189,11 +607,22 @@ class SpeechTranscriber {
    */
   abort() {
     if (this.recognition) {
+      this._cancelPendingStart();
       this.recognition.abort();
       this.isTranscribing = false;
     }
   }
+
+  /**
+   * Drop a start that is waiting for the previous session to end
+   */
+  _cancelPendingStart() {
+    if (!this.pendingStart) return;
+    this.pendingStart = null;
+    this._rejectCurrent(new TranscriptionError("aborted"));
+  }
 }
 
 // Export
 window.SpeechTranscriber = SpeechTranscriber;
+window.TranscriptionError = TranscriptionError;
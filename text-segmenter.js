@@ -0,0 +1,152 @@
+/**
+ * Text Segmenter - Splits long text on sentence boundaries for chunked translation
+ * Handles Latin/Vietnamese punctuation, CJK full stops and unspaced Thai
+ */
+
+// Terminators that end a sentence only when followed by whitespace (avoids "3.5" or "v1.0")
+const LATIN_TERMINATORS = ".!?…";
+// CJK terminators end a sentence immediately, no space follows them
+const CJK_TERMINATORS = "。！？";
+// Closing quotes/brackets that stay attached to the sentence they close
+const CLOSING_CHARS = "\"'”’)]」』）】";
+// Clause separators used to break sentences that are still too long
+const CLAUSE_SEPARATOR_REGEX = /(?<=[,;:，、；：])/;
+
+class TextSegmenter {
+  /**
+   * Split text into sentences
+   * @param {string} text - Text to split
+   * @param {string} lang - Language code (e.g., 'vi', 'zh', 'th')
+   * @returns {Array<string>} - Trimmed, non-empty sentences in order
+   */
+  segment(text, lang) {
+    const sentences = [];
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      let end = -1;
+
+      if (CJK_TERMINATORS.includes(char)) {
+        end = this._skipClosing(text, i + 1);
+      } else if (LATIN_TERMINATORS.includes(char)) {
+        let next = i + 1;
+        while (next < text.length && LATIN_TERMINATORS.includes(text[next])) next++;
+        next = this._skipClosing(text, next);
+        if (next >= text.length || /\s/.test(text[next])) {
+          end = next;
+        }
+      } else if (char === "\n") {
+        end = i + 1;
+      }
+
+      if (end > 0) {
+        sentences.push(text.slice(start, end));
+        start = end;
+        i = end - 1;
+      }
+    }
+    sentences.push(text.slice(start));
+
+    // Thai has no sentence punctuation - spaces separate sentences and clauses
+    const pieces = lang === "th" ? sentences.flatMap((sentence) => sentence.split(/\s+/)) : sentences;
+
+    return pieces.map((piece) => piece.trim()).filter((piece) => piece.length > 0);
+  }
+
+  /**
+   * Split text into chunks of at most maxChars, keeping sentences whole when possible
+   * @param {string} text - Text to split
+   * @param {string} lang - Language code
+   * @param {number} maxChars - Maximum chunk length
+   * @returns {Array<string>} - Chunks in original order
+   */
+  chunk(text, lang, maxChars) {
+    const joiner = TextSegmenter.joinerFor(lang);
+    const pieces = this.segment(text, lang).flatMap((sentence) => (sentence.length <= maxChars ? [sentence] : this._splitLong(sentence, lang, maxChars)));
+
+    const chunks = [];
+    let current = "";
+    for (const piece of pieces) {
+      const candidate = current ? current + joiner + piece : piece;
+      if (candidate.length <= maxChars) {
+        current = candidate;
+      } else {
+        chunks.push(current);
+        current = piece;
+      }
+    }
+    if (current) chunks.push(current);
+
+    return chunks;
+  }
+
+  /**
+   * String used to join sentences back together in a language
+   * @param {string} lang - Language code
+   * @returns {string}
+   */
+  static joinerFor(lang) {
+    return lang === "zh" || lang === "ja" ? "" : " ";
+  }
+
+  /**
+   * Break an over-long sentence at clause separators, then words, then hard cuts
+   */
+  _splitLong(sentence, lang, maxChars) {
+    const levels = [(part) => part.split(CLAUSE_SEPARATOR_REGEX), (part) => this._splitWords(part, lang)];
+
+    let parts = [sentence];
+    for (const split of levels) {
+      parts = parts.flatMap((part) => (part.length <= maxChars ? [part] : split(part)));
+      if (parts.every((part) => part.length <= maxChars)) break;
+    }
+
+    // Last resort: hard cut anything still too long
+    const pieces = parts.flatMap((part) => {
+      const cuts = [];
+      for (let i = 0; i < part.length; i += maxChars) {
+        cuts.push(part.slice(i, i + maxChars));
+      }
+      return cuts;
+    });
+
+    // Re-pack small pieces so chunks stay close to maxChars
+    const packed = [];
+    let current = "";
+    for (const piece of pieces) {
+      if ((current + piece).length <= maxChars) {
+        current += piece;
+      } else {
+        if (current) packed.push(current);
+        current = piece;
+      }
+    }
+    if (current) packed.push(current);
+
+    return packed.map((piece) => piece.trim()).filter((piece) => piece.length > 0);
+  }
+
+  /**
+   * Split into word tokens, keeping trailing whitespace on each token
+   * Uses Intl.Segmenter for languages written without spaces (Thai, CJK)
+   */
+  _splitWords(text, lang) {
+    if (/\s/.test(text.trim())) {
+      return text.split(/(?<=\s)/);
+    }
+    if (typeof Intl !== "undefined" && Intl.Segmenter) {
+      const segmenter = new Intl.Segmenter(lang, { granularity: "word" });
+      return Array.from(segmenter.segment(text), (part) => part.segment);
+    }
+    return [text];
+  }
+
+  _skipClosing(text, index) {
+    while (index < text.length && CLOSING_CHARS.includes(text[index])) index++;
+    return index;
+  }
+}
+
+// Export for use in HTML
+window.TextSegmenter = TextSegmenter;
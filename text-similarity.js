@@ -0,0 +1,101 @@
+/**
+ * Text Similarity - Normalization and fuzzy matching helpers shared by text features
+ */
+
+class TextSimilarity {
+  /**
+   * Normalize text for comparison: NFC, lowercase, no punctuation, single spaces
+   * @param {string} text - Text to normalize
+   * @returns {string}
+   */
+  static normalize(text) {
+    return (text || "")
+      .normalize("NFC")
+      .toLowerCase()
+      .replace(/[\p{P}\p{S}]+/gu, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Levenshtein edit distance between two strings
+   * @returns {number}
+   */
+  static levenshtein(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Similarity from edit distance on normalized text
+   * @returns {number} - 0 (different) to 1 (identical)
+   */
+  static levenshteinRatio(a, b) {
+    const left = TextSimilarity.normalize(a);
+    const right = TextSimilarity.normalize(b);
+    const maxLength = Math.max(left.length, right.length);
+    return maxLength === 0 ? 1 : 1 - TextSimilarity.levenshtein(left, right) / maxLength;
+  }
+
+  /**
+   * Dice coefficient between two lists of tokens (multiset overlap)
+   * @returns {number} - 0 to 1
+   */
+  static dice(tokensA, tokensB) {
+    if (tokensA.length === 0 && tokensB.length === 0) return 1;
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const counts = new Map();
+    tokensA.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+
+    let shared = 0;
+    tokensB.forEach((token) => {
+      const count = counts.get(token) || 0;
+      if (count > 0) {
+        shared++;
+        counts.set(token, count - 1);
+      }
+    });
+    return (2 * shared) / (tokensA.length + tokensB.length);
+  }
+
+  /**
+   * Surface similarity for comparing an original with its back-translation
+   * Combines character bigrams (works for unspaced CJK/Thai) with word overlap when both texts have words
+   * @returns {number} - 0 (different) to 1 (identical)
+   */
+  static similarity(a, b) {
+    const left = TextSimilarity.normalize(a);
+    const right = TextSimilarity.normalize(b);
+
+    const bigrams = (text) => {
+      const compact = text.replace(/\s+/g, "");
+      if (compact.length < 2) return compact ? [compact] : [];
+      return Array.from({ length: compact.length - 1 }, (_, index) => compact.slice(index, index + 2));
+    };
+    const bigramScore = TextSimilarity.dice(bigrams(left), bigrams(right));
+
+    const wordsLeft = left.split(" ").filter(Boolean);
+    const wordsRight = right.split(" ").filter(Boolean);
+    if (wordsLeft.length < 2 || wordsRight.length < 2) {
+      return bigramScore;
+    }
+
+    return (bigramScore + TextSimilarity.dice(wordsLeft, wordsRight)) / 2;
+  }
+}
+
+// Export for use in HTML
+window.TextSimilarity = TextSimilarity;
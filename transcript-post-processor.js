@@ -0,0 +1,259 @@
+/**
+ * Transcript Post-Processor - Cleans raw speech recognition output before translation
+ * Strips fillers and stutters, applies user replacement rules, then restores capitalization and end punctuation
+ */
+
+// English questions are only recognized by subject-auxiliary inversion ("where is...", "can you...");
+// do/have/don't also start imperatives ("have a nice day"), so they need a pronoun after them
+const EN_QUESTION_SUBJECTS = "i|you|he|she|it|we|they|there|this|that|these|those";
+const EN_QUESTION_DETERMINERS = "the|a|an|my|your|his|her|its|our|their|some|any";
+const EN_QUESTION_AUXILIARIES =
+  "is|are|am|was|were|does|did|has|had|can|could|would|will|should|shall|may|might|must|isn't|aren't|wasn't|weren't|doesn't|didn't|hasn't|hadn't|haven't|can't|couldn't|wouldn't|won't|shouldn't";
+const EN_QUESTION_REGEX = new RegExp(
+  `^(?:(?:who|what|when|where|why|how|which|whose)(?:\\s+(?:much|many|long|far|often|old|time))?(?:'s|'re|\\s+(?:${EN_QUESTION_AUXILIARIES}|do|have|don't))` +
+    `|(?:${EN_QUESTION_AUXILIARIES})\\s+(?:${EN_QUESTION_SUBJECTS}|${EN_QUESTION_DETERMINERS})` +
+    `|(?:do|have|don't)\\s+(?:${EN_QUESTION_SUBJECTS}))(?![\\p{L}'])`,
+  "iu"
+);
+
+// Per-language cleanup rules
+//   fillers - hesitation words removed from the transcript; in scripts without spaces between words
+//     they are only removed standing alone or between punctuation, never from inside a word ("金额", "อ่าน")
+//   minRepeat - a word repeated this many times in a row is kept once (0 = off); doubles are left alone
+//     since they are often meant ("had had", Vietnamese "xanh xanh", Korean "빨리 빨리")
+//   question - transcripts matching this get a question mark
+//   stop / questionMark - end punctuation ('' = the language doesn't use it)
+//   capitalize - the script has letter case
+const TRANSCRIPT_LANGUAGE_RULES = {
+  en: {
+    fillers: ["um", "umm", "uh", "uhh", "uhm", "erm", "er", "hmm", "mm"],
+    minRepeat: 3,
+    question: EN_QUESTION_REGEX,
+    stop: ".",
+    questionMark: "?",
+    capitalize: true,
+  },
+  vi: {
+    fillers: ["ừm", "ừmm", "ờm", "ờ", "ơ", "ưm", "hừm"],
+    minRepeat: 3,
+    question: /(?<!\p{L})(không|chưa|à|hả|nhỉ|sao|gì|đâu|nào|chứ|bao nhiêu|mấy)$/iu,
+    stop: ".",
+    questionMark: "?",
+    capitalize: true,
+  },
+  zh: {
+    fillers: ["嗯", "呃", "额"],
+    minRepeat: 0,
+    question: /(吗|呢|么)$|^(为什么|怎么|什么|哪|谁|多少)/,
+    stop: "。",
+    questionMark: "？",
+    capitalize: false,
+  },
+  ja: {
+    fillers: ["えーと", "えっと", "えー", "あのー", "うーん"],
+    minRepeat: 0,
+    question: /(か|かな|の)$/,
+    stop: "。",
+    questionMark: "？",
+    capitalize: false,
+  },
+  ko: {
+    fillers: ["으음", "음", "흠"],
+    minRepeat: 3,
+    question: /(까요|까|니|나요|가요)$/,
+    stop: ".",
+    questionMark: "?",
+    capitalize: false,
+  },
+  th: {
+    fillers: ["อืม", "เอ่อ", "อ่า"],
+    minRepeat: 0,
+    question: null,
+    stop: "",
+    questionMark: "",
+    capitalize: false,
+  },
+};
+
+// Sentence-ending punctuation already present in a transcript
+const TRANSCRIPT_END_PUNCTUATION_REGEX = /[.!?…。！？]$/;
+
+class TranscriptPostProcessor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.languages - Per-language rules (default: TRANSCRIPT_LANGUAGE_RULES)
+   * @param {string} options.storageKey - localStorage key for the enabled steps and replacement rules
+   */
+  constructor({ languages = TRANSCRIPT_LANGUAGE_RULES, storageKey = "transcriptPostProcessing" } = {}) {
+    this.languages = languages;
+    this.storageKey = storageKey;
+
+    const saved = this._load();
+    this.enabled = saved.enabled ?? true;
+    this.steps = { fillers: true, repeats: true, rules: true, capitalization: true, punctuation: true, ...saved.steps };
+    this.rules = saved.rules || []; // [{ lang, find, replace }]; lang '*' applies to every language
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this._save();
+  }
+
+  /**
+   * Turn one cleanup step on or off
+   * @param {string} step - fillers, repeats, rules, capitalization or punctuation
+   */
+  setStep(step, enabled) {
+    this.steps[step] = enabled;
+    this._save();
+  }
+
+  /**
+   * Add or replace a replacement rule (case-insensitive, whole words in spaced scripts)
+   * @param {string} lang - Language code, or '*' for every language
+   * @param {string} find - Text to look for
+   * @param {string} replace - Replacement (empty = remove)
+   */
+  addRule(lang, find, replace) {
+    this.rules = this.rules.filter((rule) => !(rule.lang === lang && rule.find.toLowerCase() === find.trim().toLowerCase()));
+    this.rules.push({ lang, find: find.trim(), replace: replace.trim() });
+    this._save();
+  }
+
+  removeRule(lang, find) {
+    this.rules = this.rules.filter((rule) => !(rule.lang === lang && rule.find === find));
+    this._save();
+  }
+
+  /**
+   * Rules that apply to a language
+   */
+  getRules(lang) {
+    return this.rules.filter((rule) => rule.lang === "*" || rule.lang === lang);
+  }
+
+  /**
+   * Clean a transcript; each line is processed separately
+   * @param {string} text - Raw recognizer output
+   * @param {string} lang - Language code of the transcript (vi, en, zh, ...)
+   * @returns {Object} - { text, raw, changed }
+   */
+  process(text, lang) {
+    if (!this.enabled || !text) {
+      return { text, raw: text, changed: false };
+    }
+
+    const languageRules = this.languages[lang] || {};
+    const cleaned = text
+      .split("\n")
+      .map((line) => this._processLine(line, lang, languageRules))
+      .join("\n");
+
+    // Never hand an empty transcript to translation - a line of only fillers keeps the original
+    const result = cleaned.trim() ? cleaned : text;
+    return { text: result, raw: text, changed: result !== text };
+  }
+
+  _processLine(line, lang, languageRules) {
+    let result = line;
+
+    if (this.steps.fillers && languageRules.fillers?.length) {
+      result = this._removeFillers(result, languageRules.fillers);
+    }
+    if (this.steps.repeats && languageRules.minRepeat > 1) {
+      result = this._collapseRepeats(result, languageRules.minRepeat);
+    }
+    if (this.steps.rules) {
+      this.getRules(lang).forEach((rule) => {
+        result = result.replace(this._wordRegex(rule.find), rule.replace);
+      });
+    }
+
+    // Full-width punctuation carries its own spacing, so a removed filler leaves no gap after it
+    result = result.replace(/\s{2,}/g, " ").replace(/\s+([,.!?，。！？])/g, "$1").replace(/([，。！？、])\s+/g, "$1").trim();
+    if (!result) return result;
+
+    if (this.steps.capitalization && languageRules.capitalize) {
+      result = this._capitalize(result, lang);
+    }
+    if (this.steps.punctuation && languageRules.stop && !TRANSCRIPT_END_PUNCTUATION_REGEX.test(result)) {
+      // Drop a dangling comma before ending the sentence
+      result = result.replace(/[,，、]$/, "");
+      result += languageRules.question?.test(result) ? languageRules.questionMark : languageRules.stop;
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove filler words and the comma that usually follows them
+   * A filler must not touch a letter on either side - in Chinese or Thai that means standing alone or next to punctuation
+   */
+  _removeFillers(text, fillers) {
+    // Longest first so "umm" isn't left as "m" by "um"
+    const sorted = [...fillers].sort((a, b) => b.length - a.length);
+    const pattern = sorted.map((filler) => filler.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+    return text.replace(new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${pattern})(?![\\p{L}\\p{M}\\p{N}])[,，、]?`, "giu"), " ");
+  }
+
+  /**
+   * Keep one copy of a word said minRepeat or more times in a row ("the the" -> "the")
+   */
+  _collapseRepeats(text, minRepeat) {
+    const words = text.split(/\s+/);
+    const kept = [];
+
+    for (let i = 0; i < words.length; ) {
+      let run = 1;
+      const normalized = words[i].toLowerCase().replace(/[,.!?]$/, "");
+      while (i + run < words.length && words[i + run].toLowerCase().replace(/[,.!?]$/, "") === normalized) run++;
+
+      if (run >= minRepeat && normalized) {
+        // The last copy carries any punctuation
+        kept.push(words[i + run - 1]);
+      } else {
+        kept.push(...words.slice(i, i + run));
+      }
+      i += run;
+    }
+
+    return kept.join(" ");
+  }
+
+  /**
+   * Upper-case the first letter of each sentence (and English "I")
+   */
+  _capitalize(text, lang) {
+    let result = text.replace(/(^|[.!?…]\s+)(\p{Ll})/gu, (match, before, letter) => before + letter.toUpperCase());
+    if (lang === "en") {
+      result = result.replace(/(?<![\p{L}\p{N}])i(?=$|[\s'’,.!?])/gu, "I");
+    }
+    return result;
+  }
+
+  /**
+   * Case-insensitive match; word boundaries only apply next to letters of spaced scripts
+   */
+  _wordRegex(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const before = /^[\p{Script=Latin}\p{Script=Hangul}\p{N}]/u.test(term) ? "(?<![\\p{L}\\p{N}])" : "";
+    const after = /[\p{Script=Latin}\p{Script=Hangul}\p{N}]$/u.test(term) ? "(?![\\p{L}\\p{N}])" : "";
+    return new RegExp(before + escaped + after, "giu");
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn("⚠️ Could not load transcript post-processing settings:", error);
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ enabled: this.enabled, steps: this.steps, rules: this.rules }));
+  }
+}
+
+// Export for use in HTML
+window.TranscriptPostProcessor = TranscriptPostProcessor;
@@ -0,0 +1,182 @@
+/**
+ * Translation Cache - In-memory LRU cache backed by IndexedDB
+ * Keeps repeated phrases off the network and available while offline
+ */
+
+class TranslationCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Maximum number of cached translations
+   * @param {number} options.maxBytes - Approximate maximum memory footprint
+   * @param {string} options.dbName - IndexedDB database name
+   * @param {string} options.storeName - IndexedDB object store name
+   */
+  constructor({ maxEntries = 500, maxBytes = 512 * 1024, dbName = "audio-translator", storeName = "translations" } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.dbName = dbName;
+    this.storeName = storeName;
+
+    // Map keeps insertion order: first entry is the least recently used
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.db = null;
+
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+  }
+
+  /**
+   * Build a cache key from normalized text, language pair and provider
+   * @param {string} text - Source text
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @param {string} providerId - Provider that made the translation; omit for provider-independent keys
+   * @returns {string}
+   */
+  static makeKey(text, sourceLang, targetLang, providerId = "") {
+    const normalized = text.normalize("NFC").trim().replace(/\s+/g, " ").toLowerCase();
+    const key = `${sourceLang}|${targetLang}|${normalized}`;
+    return providerId ? `${providerId}|${key}` : key;
+  }
+
+  /**
+   * Open IndexedDB and load persisted entries (most recently used last)
+   */
+  async init() {
+    try {
+      if (!window.indexedDB) {
+        console.warn("⚠️ IndexedDB not available, translation cache is memory-only");
+        return;
+      }
+
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: "key" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      const stored = await this._request((store) => store.getAll());
+      stored.sort((a, b) => a.lastAccess - b.lastAccess);
+      stored.forEach((entry) => this._insert(entry));
+      this._evict();
+
+      console.log(`✓ Translation cache loaded: ${this.entries.size} entries`);
+    } catch (error) {
+      console.warn("⚠️ Translation cache persistence unavailable:", error);
+      this.db = null;
+    }
+  }
+
+  /**
+   * Look up a cached translation
+   * @param {string} providerId - Only translations from this provider are returned
+   * @returns {Object|null} - Cached value or null on miss
+   */
+  get(text, sourceLang, targetLang, providerId) {
+    const key = TranslationCache.makeKey(text, sourceLang, targetLang, providerId);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to most recently used position
+    this.entries.delete(key);
+    entry.lastAccess = Date.now();
+    this.entries.set(key, entry);
+    this._persist(entry);
+
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a translation
+   * @param {string} providerId - Provider that made the translation
+   * @param {Object} value - Data to cache, e.g. { text, provider }
+   */
+  set(text, sourceLang, targetLang, providerId, value) {
+    const key = TranslationCache.makeKey(text, sourceLang, targetLang, providerId);
+    const entry = { key, value, lastAccess: Date.now() };
+
+    this._remove(key);
+    this._insert(entry);
+    this._persist(entry);
+    this._evict();
+  }
+
+  /**
+   * Remove all cached translations
+   */
+  async clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    if (this.db) {
+      await this._request((store) => store.clear(), "readwrite").catch((error) => console.warn("⚠️ Cache clear failed:", error));
+    }
+  }
+
+  /**
+   * Get cache hit/miss statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+    };
+  }
+
+  _insert(entry) {
+    entry.size = (entry.key.length + JSON.stringify(entry.value).length) * 2;
+    this.entries.set(entry.key, entry);
+    this.totalBytes += entry.size;
+  }
+
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Drop least recently used entries until within limits
+   */
+  _evict() {
+    while (this.entries.size > this.maxEntries || (this.totalBytes > this.maxBytes && this.entries.size > 1)) {
+      const oldestKey = this.entries.keys().next().value;
+      this._remove(oldestKey);
+      this.stats.evictions++;
+      if (this.db) {
+        this._request((store) => store.delete(oldestKey), "readwrite").catch(() => {});
+      }
+    }
+  }
+
+  _persist(entry) {
+    if (!this.db) return;
+    const { key, value, lastAccess } = entry;
+    this._request((store) => store.put({ key, value, lastAccess }), "readwrite").catch((error) => console.warn("⚠️ Cache write failed:", error));
+  }
+
+  _request(operation, mode = "readonly") {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+// Export for use in HTML
+window.TranslationCache = TranslationCache;
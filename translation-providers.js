@@ -0,0 +1,285 @@
+/**
+ * Translation Providers - Pluggable translation backends for TranslationService
+ * Each provider declares the language pairs it supports and its request limits
+ */
+
+/**
+ * Error raised by providers - carries HTTP status and whether a retry may succeed
+ */
+class TranslationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details
+   * @param {string} details.code - Short error code (e.g., 'http', 'timeout', 'limit')
+   * @param {number} details.status - HTTP status, if any
+   * @param {boolean} details.retryable - Whether retrying the request may succeed
+   * @param {number} details.retryAfterMs - Server-requested delay before retrying
+   */
+  constructor(message, { code = "unknown", status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "TranslationError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Build an error from a failed HTTP response (429 and 5xx are retryable)
+   * @param {Response} response - Fetch response
+   * @param {string} message - Optional message from the response body
+   */
+  static fromResponse(response, message) {
+    const retryAfter = Number(response.headers.get("Retry-After"));
+    return new TranslationError(message || `HTTP error! status: ${response.status}`, {
+      code: "http",
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500,
+      retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+    });
+  }
+}
+
+class TranslationProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Unique id used to register and select the provider
+   * @param {string} options.name - Display name
+   * @param {Array<string>|string} options.languages - Supported language codes, or "*" for any language
+   * @param {Array<Array<string>>} options.languagePairs - Explicit [source, target] pairs (overrides languages)
+   * @param {Object} options.limits - { maxChars, maxRequestsPerMinute }
+   * @param {boolean} options.cacheable - Whether results may be stored in the translation cache
+   */
+  constructor({ id, name, languages = "*", languagePairs = null, limits = {}, cacheable = true }) {
+    this.id = id;
+    this.name = name || id;
+    this.languages = languages;
+    this.languagePairs = languagePairs;
+    this.limits = {
+      maxChars: limits.maxChars || Infinity,
+      maxRequestsPerMinute: limits.maxRequestsPerMinute || Infinity,
+    };
+    this.cacheable = cacheable;
+    this.requestTimestamps = [];
+  }
+
+  /**
+   * Check whether this provider can translate between two languages
+   * @param {string} sourceLang - Source language code (e.g., 'vi')
+   * @param {string} targetLang - Target language code (e.g., 'zh')
+   * @returns {boolean}
+   */
+  supports(sourceLang, targetLang) {
+    if (this.languagePairs) {
+      return this.languagePairs.some(([source, target]) => source === sourceLang && target === targetLang);
+    }
+    if (this.languages === "*") return true;
+    return this.languages.includes(sourceLang) && this.languages.includes(targetLang);
+  }
+
+  /**
+   * Throw if the text or request rate exceeds the provider limits
+   * @param {string} text - Text about to be translated
+   */
+  checkLimits(text) {
+    if (text.length > this.limits.maxChars) {
+      throw new TranslationError(`${this.name} accepts at most ${this.limits.maxChars} characters per request`, { code: "limit" });
+    }
+
+    const now = Date.now();
+    this.requestTimestamps = this.requestTimestamps.filter((timestamp) => now - timestamp < 60000);
+    if (this.requestTimestamps.length >= this.limits.maxRequestsPerMinute) {
+      throw new TranslationError(`${this.name} rate limit reached (${this.limits.maxRequestsPerMinute} requests/minute)`, { code: "limit" });
+    }
+    this.requestTimestamps.push(now);
+  }
+
+  /**
+   * Translate text - implemented by each provider
+   * @param {string} text - Text to translate
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @param {Object} options - { signal } AbortSignal used for timeouts
+   * @returns {Promise<{text: string, alternatives: Array}>} - alternatives are ranked { text, score, source }
+   */
+  async translate(text, sourceLang, targetLang, options = {}) {
+    throw new Error(`translate() not implemented for provider "${this.id}"`);
+  }
+}
+
+/**
+ * MyMemory public API (https://mymemory.translated.net)
+ */
+class MyMemoryProvider extends TranslationProvider {
+  constructor() {
+    super({
+      id: "mymemory",
+      name: "MyMemory",
+      languages: ["vi", "en", "zh", "ja", "ko", "th"],
+      limits: { maxChars: 500 },
+    });
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const response = await fetch(`https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${sourceLang}|${targetLang}`, {
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      throw TranslationError.fromResponse(response);
+    }
+
+    const data = await response.json();
+    console.log("Translation API response:", data);
+
+    if (data.responseStatus !== 200) {
+      // MyMemory reports quota and server errors in the body with a 200 HTTP status
+      const status = Number(data.responseStatus) || null;
+      throw new TranslationError(data.responseDetails || "Translation failed", {
+        code: "api",
+        status,
+        retryable: status === 429 || status >= 500,
+      });
+    }
+
+    let translatedText = data.responseData.translatedText;
+
+    // If main translation is empty, try to get from matches array
+    if (!translatedText || translatedText.trim() === "") {
+      console.warn("Main translation empty, checking matches...");
+
+      if (data.matches && data.matches.length > 0) {
+        // Get first match with non-empty translation
+        for (let match of data.matches) {
+          if (match.translation && match.translation.trim() !== "") {
+            translatedText = match.translation;
+            console.log(`Using first match translation (score: ${match.match}):`, translatedText);
+            break;
+          }
+        }
+      }
+    }
+
+    // Final check - if still empty, throw error
+    if (!translatedText || translatedText.trim() === "") {
+      throw new TranslationError("No valid translation found in API response", { code: "empty" });
+    }
+
+    return { text: translatedText, alternatives: this._rankMatches(data.matches || []) };
+  }
+
+  /**
+   * Turn translation memory matches into ranked, de-duplicated alternatives
+   */
+  _rankMatches(matches) {
+    const seen = new Set();
+    return matches
+      .filter((match) => match.translation && match.translation.trim() !== "")
+      .map((match) => ({
+        text: match.translation.trim(),
+        score: typeof match.match === "number" ? match.match : Number(match.match) || 0,
+        source: match["created-by"] || match.reference || "MyMemory",
+      }))
+      .sort((a, b) => b.score - a.score)
+      .filter((alternative) => {
+        if (seen.has(alternative.text)) return false;
+        seen.add(alternative.text);
+        return true;
+      });
+  }
+}
+
+/**
+ * Self-hosted LibreTranslate-compatible endpoint (POST /translate)
+ */
+class LibreTranslateProvider extends TranslationProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Base URL of the server (default: http://localhost:5000)
+   * @param {string} options.apiKey - Optional API key
+   */
+  constructor({ endpoint = "http://localhost:5000", apiKey = "" } = {}) {
+    super({
+      id: "libretranslate",
+      name: "LibreTranslate (self-hosted)",
+      languages: ["vi", "en", "zh", "ja", "ko", "th"],
+      limits: { maxChars: 5000 },
+    });
+    this.endpoint = endpoint;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Point the provider at a different server
+   * @param {string} endpoint - Base URL of the server
+   */
+  setEndpoint(endpoint) {
+    this.endpoint = endpoint.replace(/\/+$/, "");
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    const body = { q: text, source: sourceLang, target: targetLang, format: "text", alternatives: 3 };
+    if (this.apiKey) {
+      body.api_key = this.apiKey;
+    }
+
+    const response = await fetch(`${this.endpoint}/translate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: options.signal,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw TranslationError.fromResponse(response, data.error);
+    }
+
+    if (!data.translatedText || data.translatedText.trim() === "") {
+      throw new TranslationError("No valid translation found in API response", { code: "empty" });
+    }
+
+    // Servers that support alternatives return them unscored, best first
+    const alternatives = [data.translatedText, ...(data.alternatives || [])].map((alternative) => ({
+      text: alternative,
+      score: null,
+      source: this.name,
+    }));
+
+    return { text: data.translatedText, alternatives };
+  }
+}
+
+/**
+ * Deterministic offline provider for testing the pipeline without a network
+ * Looks phrases up in a dictionary, otherwise tags the text with the target language
+ */
+class LocalMockProvider extends TranslationProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dictionary - { "vi|zh": { "xin chào": "你好" } }
+   * @param {number} options.latencyMs - Artificial delay per request
+   */
+  constructor({ dictionary = {}, latencyMs = 0 } = {}) {
+    super({ id: "local-mock", name: "Local mock (offline)", cacheable: false });
+    this.dictionary = dictionary;
+    this.latencyMs = latencyMs;
+  }
+
+  async translate(text, sourceLang, targetLang, options = {}) {
+    if (this.latencyMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, this.latencyMs));
+    }
+
+    const entries = this.dictionary[`${sourceLang}|${targetLang}`] || {};
+    const known = entries[text.trim().toLowerCase()];
+    return { text: known || `[${targetLang}] ${text}`, alternatives: [] };
+  }
+}
+
+// Export for use in HTML
+window.TranslationError = TranslationError;
+window.TranslationProvider = TranslationProvider;
+window.MyMemoryProvider = MyMemoryProvider;
+window.LibreTranslateProvider = LibreTranslateProvider;
+window.LocalMockProvider = LocalMockProvider;
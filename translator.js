@@ -1,72 +1,431 @@
 // Translation Module - Handles Vietnamese → Chinese translation and speech synthesis
 
-class TranslationService {
-  constructor() {
+/**
+ * Events: status { message, type }, translated { text, sourceLang, targetLang, result }
+ */
+class TranslationService extends TypedEventTarget {
+  /**
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Timeout for each provider request
+   * @param {number} options.maxRetries - Retries for 429/5xx responses and timeouts
+   * @param {number} options.retryBaseDelayMs - First backoff delay, doubled on every retry
+   * @param {number} options.maxConcurrency - Maximum chunk requests in flight for long text
+   * @param {string} options.phrasebookMode - When to use the offline phrasebook: 'off', 'first' or 'fallback'
+   */
+  constructor(options = {}) {
+    super({
+      status: { handler: "onStatusChanged", args: ({ message, type }) => [message, type] },
+      translated: {},
+    });
+
     this.onStatusChanged = null;
     this.lastTranscribedText = null;
+
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 500;
+    this.maxConcurrency = options.maxConcurrency || 2;
+
+    // Splits long transcripts on sentence boundaries
+    this.segmenter = new TextSegmenter();
+
+    // Registered translation providers, keyed by provider id
+    this.providers = new Map();
+    this.activeProviderId = null;
+
+    this.registerProvider(new MyMemoryProvider());
+    this.registerProvider(new LibreTranslateProvider());
+    this.registerProvider(new LocalMockProvider());
+    this.setProvider("mymemory");
+
+    // User glossary: forced term translations and do-not-translate terms
+    this.glossary = new Glossary();
+
+    // Offline phrasebook: "off", "first" (before the provider) or "fallback" (when the provider fails)
+    this.phrasebook = new Phrasebook();
+    this.phrasebookMode = options.phrasebookMode || "fallback";
+
+    // Alternatives the user picked for specific inputs
+    this.preferences = this._loadPreferences();
+
+    // Persistent cache of previous translations
+    this.cache = new TranslationCache();
+    this.cacheReady = this.cache.init();
+  }
+
+  /**
+   * Register a translation provider
+   * @param {TranslationProvider} provider - Provider instance with a unique id
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.id) {
+      throw new Error("Provider must have an id");
+    }
+    this.providers.set(provider.id, provider);
+    console.log(`✓ Translation provider registered: ${provider.name}`);
+  }
+
+  /**
+   * Select the provider used by translateText
+   * @param {string} providerId - Id of a registered provider
+   */
+  setProvider(providerId) {
+    if (!this.providers.has(providerId)) {
+      throw new Error(`Unknown translation provider: ${providerId}`);
+    }
+    this.activeProviderId = providerId;
+  }
+
+  /**
+   * Get a registered provider (defaults to the active one)
+   * @param {string} providerId - Provider id
+   * @returns {TranslationProvider|undefined}
+   */
+  getProvider(providerId = this.activeProviderId) {
+    return this.providers.get(providerId);
+  }
+
+  /**
+   * List registered providers
+   * @returns {Array<TranslationProvider>}
+   */
+  getProviders() {
+    return Array.from(this.providers.values());
   }
 
   /**
    * Translate text from Vietnamese to Chinese
+   * Text longer than the provider's maxChars is split on sentence boundaries and translated in chunks
    * @param {string} text - Vietnamese text to translate
    * @param {string} sourceLang - Source language code (default: 'vi')
    * @param {string} targetLang - Target language code (default: 'zh')
-   * @returns {Promise<string>} - Translated text in Chinese
+   * @returns {Promise<Object>} - { text, ok, provider, error, attempts, cached, alternatives, preferred, chunks? }; text is null when translation failed
    */
   async translateText(text, sourceLang = "vi", targetLang = "zh") {
+    // A translation the user picked earlier for this exact input wins - no need to ask the provider
+    const preferredText = text ? this.getPreferredTranslation(text, sourceLang, targetLang) : null;
+    if (preferredText) {
+      console.log(`✓ Using preferred translation: ${preferredText}`);
+      const preferred = { text: preferredText, ok: true, provider: "preferred", error: null, attempts: 0, cached: false, alternatives: [], preferred: true };
+      this.emit("translated", { text, sourceLang, targetLang, result: preferred });
+      return preferred;
+    }
+
+    const result = { ...(await this._translate(text, sourceLang, targetLang)), preferred: false };
+    this.emit("translated", { text, sourceLang, targetLang, result });
+    return result;
+  }
+
+  /**
+   * Translate a translation back into the source language and score how close it is to the original
+   * Asks the provider directly: a phrasebook or cached answer would say nothing about this translation,
+   * and the background check shouldn't show up in the status bar
+   * @param {string} originalText - Text the user said
+   * @param {string} translatedText - Translation of it
+   * @param {string} sourceLang - Language of the original
+   * @param {string} targetLang - Language of the translation
+   * @param {number} threshold - Scores below this are flagged as low confidence (default: 0.5)
+   * @returns {Promise<Object>} - { ok, text, score, lowConfidence, error }
+   */
+  async backTranslate(originalText, translatedText, sourceLang, targetLang, threshold = 0.5) {
+    const provider = this.getProvider();
+    // Glossary terms come back exactly as the user said them instead of lowering the score
+    const masked = this.glossary.mask(translatedText, sourceLang, targetLang, { reverse: true });
+    let text;
+
+    try {
+      if (!provider.supports(targetLang, sourceLang)) {
+        throw new Error(`${provider.name} does not support ${targetLang} → ${sourceLang}`);
+      }
+
+      // Long translations were made in chunks, so check them in chunks too
+      const chunks = masked.text.length > provider.limits.maxChars ? this.segmenter.chunk(masked.text, targetLang, provider.limits.maxChars) : [masked.text];
+      const pieces = await this._mapWithConcurrency(chunks, this.maxConcurrency, (chunk) => this._requestOnce(provider, chunk, targetLang, sourceLang));
+      text = this.glossary.unmask(pieces.map((piece) => piece.text).join(TextSegmenter.joinerFor(sourceLang)), masked.placeholders);
+    } catch (error) {
+      console.warn("⚠️ Back-translation failed:", error.message);
+      return { ok: false, text: null, score: null, lowConfidence: false, error: error.message };
+    }
+
+    const score = TextSimilarity.similarity(originalText, text);
+    console.log(`✓ Back-translation score ${Math.round(score * 100)}%: ${text}`);
+    return { ok: true, text, score, lowConfidence: score < threshold, error: null };
+  }
+
+  /**
+   * Remember an alternative the user chose for an input
+   * @param {string} text - Source text
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @param {string} translation - Chosen translation
+   */
+  setPreferredTranslation(text, sourceLang, targetLang, translation) {
+    this.preferences[TranslationCache.makeKey(text, sourceLang, targetLang)] = translation;
+    this._savePreferences();
+  }
+
+  /**
+   * Get the translation the user chose for an input, if any
+   * @returns {string|null}
+   */
+  getPreferredTranslation(text, sourceLang, targetLang) {
+    return this.preferences[TranslationCache.makeKey(text, sourceLang, targetLang)] || null;
+  }
+
+  _loadPreferences() {
+    try {
+      return JSON.parse(localStorage.getItem("translationPreferences")) || {};
+    } catch (error) {
+      console.warn("⚠️ Could not load preferred translations:", error);
+      return {};
+    }
+  }
+
+  _savePreferences() {
+    localStorage.setItem("translationPreferences", JSON.stringify(this.preferences));
+  }
+
+  /**
+   * Translate through the active provider (glossary, cache, chunking, retries)
+   */
+  async _translate(text, sourceLang, targetLang) {
+    const provider = this.getProvider();
+
     try {
       if (!text || text.trim() === "") {
         throw new Error("No text to translate");
       }
 
-      this.onStatusChanged?.(`Translating from ${sourceLang} to ${targetLang}...`, "active");
+      // Nothing to do when the speaker already used the target language (e.g. auto-detected input)
+      if (sourceLang === targetLang) {
+        return { text, ok: true, provider: "none", error: null, attempts: 0, cached: false, alternatives: [] };
+      }
 
-      // Using Free Translation API (MyMemory)
-      const response = await fetch(`https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${sourceLang}|${targetLang}`);
+      if (this.phrasebookMode === "first") {
+        const phrase = this._lookupPhrase(text, sourceLang, targetLang, 0);
+        if (phrase) return phrase;
+      }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      if (!provider.supports(sourceLang, targetLang)) {
+        throw new Error(`${provider.name} does not support ${sourceLang} → ${targetLang}`);
       }
 
-      const data = await response.json();
-      console.log("Translation API response:", data);
-
-      if (data.responseStatus === 200) {
-        let translatedText = data.responseData.translatedText;
-
-        // If main translation is empty, try to get from matches array
-        if (!translatedText || translatedText.trim() === "") {
-          console.warn("Main translation empty, checking matches...");
-
-          if (data.matches && data.matches.length > 0) {
-            // Get first match with non-empty translation
-            for (let match of data.matches) {
-              if (match.translation && match.translation.trim() !== "") {
-                translatedText = match.translation;
-                console.log(`Using first match translation (score: ${match.match}):`, translatedText);
-                break;
-              }
-            }
-          }
-        }
+      await this.cacheReady;
 
-        // Final check - if still empty, throw error
-        if (!translatedText || translatedText.trim() === "") {
-          throw new Error("No valid translation found in API response");
-        }
+      // Protect glossary terms from the provider
+      const masked = this.glossary.mask(text, sourceLang, targetLang);
 
-        console.log(`✓ Translation successful: ${translatedText}`);
-        return translatedText;
-      } else {
-        throw new Error(data.responseDetails || "Translation failed");
+      if (masked.text.length > provider.limits.maxChars) {
+        const result = await this._translateChunks(provider, masked.text, sourceLang, targetLang);
+        return this._restoreGlossaryTerms(result, masked.placeholders);
       }
+
+      this.emit("status", { message: `Translating from ${sourceLang} to ${targetLang}...`, type: "active" });
+
+      const result = await this._translateSegment(provider, masked.text, sourceLang, targetLang);
+      const translatedText = this.glossary.unmask(result.text, masked.placeholders);
+      const alternatives = result.alternatives.map((alternative) => ({ ...alternative, text: this.glossary.unmask(alternative.text, masked.placeholders) }));
+
+      console.log(`✓ Translation successful (${provider.name}): ${translatedText}`);
+      this.emit("status", { message: result.cached ? "Translated (cached)" : "Translation complete", type: "success" });
+      return {
+        text: translatedText,
+        ok: true,
+        provider: result.provider,
+        error: null,
+        attempts: result.attempts,
+        cached: result.cached,
+        alternatives,
+      };
     } catch (error) {
       console.error("❌ Translation error:", error);
-      this.onStatusChanged?.("Translation failed: " + error.message, "error");
-      return text; // Return original if translation fails
+
+      // Common phrases still work when the provider is unreachable
+      const phrase = this.phrasebookMode === "fallback" ? this._lookupPhrase(text, sourceLang, targetLang, error.attempts || 0) : null;
+      if (phrase) {
+        phrase.fallbackError = error.message;
+        return phrase;
+      }
+
+      this.emit("status", { message: "Translation failed: " + error.message, type: "error" });
+      return { text: null, ok: false, provider: provider.id, error: error.message, attempts: error.attempts || 0, cached: false, alternatives: [] };
+    }
+  }
+
+  /**
+   * Serve a translation from the offline phrasebook
+   * @returns {Object|null} - Translation result marked with phrasebook match details, or null
+   */
+  _lookupPhrase(text, sourceLang, targetLang, attempts) {
+    const match = this.phrasebook.lookup(text, sourceLang, targetLang);
+    if (!match) return null;
+
+    console.log(`✓ Phrasebook ${match.exact ? "exact" : "fuzzy"} match (${match.category}/${match.id}): ${match.text}`);
+    this.emit("status", { message: match.exact ? "Translated from phrasebook" : `Translated from phrasebook (fuzzy match: "${match.phrase}")`, type: "success" });
+    return {
+      text: match.text,
+      ok: true,
+      provider: "phrasebook",
+      error: null,
+      attempts,
+      cached: false,
+      alternatives: [],
+      phrasebook: { id: match.id, category: match.category, phrase: match.phrase, score: match.score, exact: match.exact },
+    };
+  }
+
+  /**
+   * Translate one provider-sized piece of text, serving it from cache when possible
+   * @returns {Promise<Object>} - { text, alternatives, provider, attempts, cached }
+   */
+  async _translateSegment(provider, text, sourceLang, targetLang) {
+    // Serve repeated phrases from cache (also works while offline)
+    const cached = provider.cacheable ? this.cache.get(text, sourceLang, targetLang, provider.id) : null;
+    if (cached) {
+      console.log(`✓ Translation cache hit: ${cached.text}`);
+      return { text: cached.text, alternatives: cached.alternatives || [], provider: cached.provider, attempts: 0, cached: true };
+    }
+
+    const result = await this._requestWithRetry(provider, text, sourceLang, targetLang);
+    const alternatives = result.alternatives || [];
+
+    if (provider.cacheable) {
+      this.cache.set(text, sourceLang, targetLang, provider.id, { text: result.text, alternatives, provider: provider.id });
+    }
+
+    return { text: result.text, alternatives, provider: provider.id, attempts: result.attempts, cached: false };
+  }
+
+  /**
+   * Split long text into sentence-aligned chunks, translate them with bounded concurrency
+   * and reassemble them in order. Every chunk reports its own success or failure.
+   */
+  async _translateChunks(provider, text, sourceLang, targetLang) {
+    const chunks = this.segmenter.chunk(text, sourceLang, provider.limits.maxChars);
+    let completed = 0;
+
+    console.log(`📍 Translating ${chunks.length} chunks (max ${this.maxConcurrency} at a time)`);
+    this.emit("status", { message: `Translating ${chunks.length} chunks from ${sourceLang} to ${targetLang}...`, type: "active" });
+
+    const results = await this._mapWithConcurrency(chunks, this.maxConcurrency, async (chunk, index) => {
+      try {
+        const result = await this._translateSegment(provider, chunk, sourceLang, targetLang);
+        return { index, source: chunk, text: result.text, ok: true, error: null, attempts: result.attempts, cached: result.cached };
+      } catch (error) {
+        console.error(`❌ Chunk ${index + 1}/${chunks.length} failed:`, error);
+        return { index, source: chunk, text: null, ok: false, error: error.message, attempts: error.attempts || 0, cached: false };
+      } finally {
+        completed++;
+        this.emit("status", { message: `Translated ${completed}/${chunks.length} chunks...`, type: "active" });
+      }
+    });
+
+    const attempts = results.reduce((sum, chunk) => sum + chunk.attempts, 0);
+    const failed = results.filter((chunk) => !chunk.ok);
+
+    if (failed.length > 0) {
+      const error = `${failed.length} of ${chunks.length} chunks failed: ${failed[0].error}`;
+      this.emit("status", { message: "Translation failed: " + error, type: "error" });
+      return { text: null, ok: false, provider: provider.id, error, attempts, cached: false, alternatives: [], chunks: results };
+    }
+
+    const translatedText = results.map((chunk) => chunk.text).join(TextSegmenter.joinerFor(targetLang));
+    console.log(`✓ Chunked translation successful (${provider.name}): ${translatedText}`);
+    this.emit("status", { message: "Translation complete", type: "success" });
+    return {
+      text: translatedText,
+      ok: true,
+      provider: provider.id,
+      error: null,
+      attempts,
+      cached: results.every((chunk) => chunk.cached),
+      alternatives: [],
+      chunks: results,
+    };
+  }
+
+  /**
+   * Put glossary terms back into a chunked translation result
+   */
+  _restoreGlossaryTerms(result, placeholders) {
+    result.text = this.glossary.unmask(result.text, placeholders);
+    result.chunks.forEach((chunk) => {
+      chunk.source = this.glossary.unmask(chunk.source, placeholders, "original");
+      chunk.text = this.glossary.unmask(chunk.text, placeholders);
+    });
+    return result;
+  }
+
+  /**
+   * Run an async function over items with at most `limit` calls in flight, preserving order
+   */
+  async _mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Call a provider once with the request timeout - no retries or status events
+   * @returns {Promise<Object>} - Provider result
+   */
+  async _requestOnce(provider, text, sourceLang, targetLang) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      provider.checkLimits(text);
+      return await provider.translate(text, sourceLang, targetLang, { signal: controller.signal });
+    } catch (error) {
+      throw controller.signal.aborted ? new TranslationError(`Translation timed out after ${this.timeoutMs}ms`, { code: "timeout", retryable: true }) : error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Call a provider with a per-attempt timeout, retrying retryable failures with exponential backoff
+   * @returns {Promise<Object>} - Provider result plus the number of attempts made
+   */
+  async _requestWithRetry(provider, text, sourceLang, targetLang) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this._requestOnce(provider, text, sourceLang, targetLang);
+        return { ...result, attempts: attempt };
+      } catch (failure) {
+        failure.attempts = attempt;
+
+        if (!failure.retryable || attempt > this.maxRetries) {
+          throw failure;
+        }
+
+        const backoff = this.retryBaseDelayMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.25);
+        // Honour Retry-After, but never wait longer than a request may take
+        const delay = Math.min(failure.retryAfterMs || backoff, this.timeoutMs);
+        console.warn(`⚠️ Translation attempt ${attempt} failed (${failure.message}), retrying in ${Math.round(delay)}ms`);
+        this.emit("status", { message: `Translation retry ${attempt}/${this.maxRetries}...`, type: "active" });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
     }
   }
 
+  /**
+   * Get translation cache statistics
+   * @returns {Object} - { hits, misses, hitRate, entries, bytes, evictions }
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
   /**
    * Get voices filtered by language
    * @param {string} language - Language code (e.g., 'zh-CN', 'en-US', 'vi-VN')
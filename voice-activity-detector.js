@@ -0,0 +1,329 @@
+/**
+ * Voice Activity Detector - Frame-by-frame speech detection for microphone audio
+ * Combines frame energy over an adaptive noise floor, zero-crossing rate, spectral flatness and spectral flux
+ * into a speech probability, then smooths the decision with onset confirmation and hangover.
+ * Flatness and ZCR tell voice from noise; flux (how much the spectrum changes over time) tells it from steady
+ * tones and hum, which are just as harmonic as a vowel but never move.
+ * Works on plain PCM frames, so recorded buffers can be fed in with processBuffer() outside the browser.
+ */
+
+// Energy of an all-zero frame, in dB
+const VAD_SILENCE_DB = -100;
+// Band where voiced speech carries its harmonics; flatness and flux are measured only here
+const VAD_SPEECH_BAND_HZ = [300, 4000];
+// Spectral flux is averaged over about this long - syllables change the spectrum a few times per second
+const VAD_FLUX_AVERAGE_MS = 100;
+
+class VoiceActivityDetector {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Sample rate of the frames (default: 16000)
+   * @param {number} options.frameMs - Frame length used by processBuffer() (default: 30)
+   * @param {number} options.snrThresholdDb - Energy above the noise floor where speech becomes likely (default: 8)
+   * @param {number} options.maxFlatness - Spectral flatness above which a frame sounds like noise (default: 0.4)
+   * @param {number} options.maxZeroCrossingRate - Zero-crossing rate above which a frame sounds like hiss (default: 0.3)
+   * @param {number} options.minSpectralFlux - Average spectral change below which a sound is steady, like a tone or hum (default: 0.06)
+   * @param {number} options.smoothingMs - Time constant of the probability smoothing (default: 40)
+   * @param {number} options.onThreshold - Probability that starts speech (default: 0.6)
+   * @param {number} options.offThreshold - Probability below which speech may end (default: 0.35)
+   * @param {number} options.minSpeechMs - Probability must stay high this long before speech starts - skips clicks (default: 90)
+   * @param {number} options.hangoverMs - Speech continues this long after the probability drops (default: 300)
+   */
+  constructor({
+    sampleRate = 16000,
+    frameMs = 30,
+    snrThresholdDb = 8,
+    maxFlatness = 0.4,
+    maxZeroCrossingRate = 0.3,
+    minSpectralFlux = 0.06,
+    smoothingMs = 40,
+    onThreshold = 0.6,
+    offThreshold = 0.35,
+    minSpeechMs = 90,
+    hangoverMs = 300,
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.frameMs = frameMs;
+    this.snrThresholdDb = snrThresholdDb;
+    this.maxFlatness = maxFlatness;
+    this.maxZeroCrossingRate = maxZeroCrossingRate;
+    this.minSpectralFlux = minSpectralFlux;
+    this.smoothingMs = smoothingMs;
+    this.onThreshold = onThreshold;
+    this.offThreshold = offThreshold;
+    this.minSpeechMs = minSpeechMs;
+    this.hangoverMs = hangoverMs;
+
+    this.reset();
+  }
+
+  /**
+   * Forget the noise floor and the current speech state
+   */
+  reset() {
+    this.noiseFloorDb = null;
+    this.isSpeech = false;
+    this.smoothedProbability = 0;
+    this.spectralFlux = 0; // Average frame-to-frame spectral change
+    this.previousSpectrum = null; // { shape, weight, flux } of the last frame
+    this.onsetMs = 0; // Time spent above onThreshold while not yet speaking
+    this.hangoverLeftMs = 0;
+  }
+
+  /**
+   * Analyse one frame of audio
+   * Frames should follow each other without gaps - all timing (smoothing, onset, hangover) is counted in audio time
+   * @param {Float32Array} samples - PCM samples in [-1, 1]
+   * @returns {Object} - { probability, isSpeech, energyDb, noiseFloorDb, zeroCrossingRate, flatness, spectralFlux }
+   */
+  processFrame(samples) {
+    const durationMs = (samples.length / this.sampleRate) * 1000;
+    const energyDb = this._energyDb(samples);
+    const zeroCrossingRate = this._zeroCrossingRate(samples);
+    const power = this._powerSpectrum(samples);
+    const flatness = this._spectralFlatness(power);
+
+    if (this.noiseFloorDb === null) {
+      this.noiseFloorDb = energyDb;
+    }
+    const snrDb = energyDb - this.noiseFloorDb;
+
+    // Loud enough over the background and changing over time gate everything; harmonic, low-ZCR frames sound like voice
+    const energyScore = this._sigmoid((snrDb - this.snrThresholdDb) / 2);
+    const spectralFlux = this._updateSpectralFlux(power, durationMs, energyScore);
+    const fluxScore = this._sigmoid((spectralFlux - this.minSpectralFlux) / 0.03);
+    const flatnessScore = this._sigmoid((this.maxFlatness - flatness) / 0.08);
+    const zeroCrossingScore = this._sigmoid((this.maxZeroCrossingRate - zeroCrossingRate) / 0.05);
+    const probability = energyScore * fluxScore * (0.2 + 0.5 * flatnessScore + 0.3 * zeroCrossingScore);
+
+    // Same smoothing whatever the frame length
+    const alpha = 1 - Math.exp(-durationMs / this.smoothingMs);
+    this.smoothedProbability += alpha * (probability - this.smoothedProbability);
+    this._updateSpeechState(this.smoothedProbability, durationMs);
+    this._updateNoiseFloor(energyDb, durationMs);
+
+    return {
+      probability: this.smoothedProbability,
+      isSpeech: this.isSpeech,
+      energyDb,
+      noiseFloorDb: this.noiseFloorDb,
+      zeroCrossingRate,
+      flatness,
+      spectralFlux,
+    };
+  }
+
+  /**
+   * Analyse a recorded buffer frame by frame (offline testing, calibration)
+   * @param {Float32Array|Int16Array} samples - Mono PCM; Int16 samples are scaled to [-1, 1]
+   * @returns {Array<Object>} - processFrame() results with the frame's start time in seconds
+   */
+  processBuffer(samples) {
+    const pcm = samples instanceof Int16Array ? Float32Array.from(samples, (sample) => sample / 32768) : samples;
+    const frameLength = Math.max(1, Math.round((this.sampleRate * this.frameMs) / 1000));
+    const frames = [];
+
+    for (let start = 0; start + frameLength <= pcm.length; start += frameLength) {
+      const frame = this.processFrame(pcm.subarray(start, start + frameLength));
+      frames.push({ ...frame, time: start / this.sampleRate });
+    }
+
+    return frames;
+  }
+
+  /**
+   * Enter speech after minSpeechMs above onThreshold; leave after hangoverMs below offThreshold
+   */
+  _updateSpeechState(probability, durationMs) {
+    if (!this.isSpeech) {
+      this.onsetMs = probability >= this.onThreshold ? this.onsetMs + durationMs : 0;
+      if (this.onsetMs >= this.minSpeechMs) {
+        this.isSpeech = true;
+        this.onsetMs = 0;
+        this.hangoverLeftMs = this.hangoverMs;
+      }
+      return;
+    }
+
+    if (probability >= this.offThreshold) {
+      this.hangoverLeftMs = this.hangoverMs;
+    } else {
+      this.hangoverLeftMs -= durationMs;
+      if (this.hangoverLeftMs <= 0) {
+        this.isSpeech = false;
+      }
+    }
+  }
+
+  /**
+   * Follow the background level: drop quickly, rise slowly, and almost freeze during speech
+   * Rates are per second so the floor adapts the same way whatever the frame length
+   */
+  _updateNoiseFloor(energyDb, durationMs) {
+    let ratePerSecond;
+    if (energyDb < this.noiseFloorDb) {
+      ratePerSecond = 10;
+    } else if (this.isSpeech) {
+      ratePerSecond = 0.02;
+    } else {
+      ratePerSecond = 0.5;
+    }
+
+    const alpha = 1 - Math.exp((-ratePerSecond * durationMs) / 1000);
+    this.noiseFloorDb = Math.max(VAD_SILENCE_DB, this.noiseFloorDb + alpha * (energyDb - this.noiseFloorDb));
+  }
+
+  _energyDb(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / Math.max(1, samples.length));
+    return rms > 0 ? Math.max(VAD_SILENCE_DB, 20 * Math.log10(rms)) : VAD_SILENCE_DB;
+  }
+
+  /**
+   * Fraction of neighbouring samples that change sign (high for hiss and fricatives, low for voiced speech)
+   */
+  _zeroCrossingRate(samples) {
+    let crossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+      if (samples[i - 1] >= 0 !== samples[i] >= 0) crossings++;
+    }
+    return crossings / Math.max(1, samples.length - 1);
+  }
+
+  /**
+   * Geometric over arithmetic mean of the power spectrum in the speech band
+   * Near 1 for noise-like frames (fans, hiss), near 0 for harmonic ones (voice)
+   */
+  _spectralFlatness(power) {
+    const [first, last] = this._speechBandBins(power);
+
+    let logSum = 0;
+    let sum = 0;
+    for (let i = first; i <= last; i++) {
+      const value = power[i] + 1e-12;
+      logSum += Math.log(value);
+      sum += value;
+    }
+
+    const count = last - first + 1;
+    return count > 0 && sum > 0 ? Math.exp(logSum / count) / (sum / count) : 1;
+  }
+
+  /**
+   * Change in spectral shape since the previous frame in the speech band, averaged over VAD_FLUX_AVERAGE_MS
+   * Spectra are compared normalized, so only what is said changes the value, not how loud: 0 for a steady sound, up to 1
+   * @param {number} weight - How far the frame stands out from the background (0-1)
+   */
+  _updateSpectralFlux(power, durationMs, weight) {
+    const [first, last] = this._speechBandBins(power);
+    const shape = new Float64Array(Math.max(0, last - first + 1));
+    let sum = 0;
+    for (let i = first; i <= last; i++) {
+      shape[i - first] = Math.sqrt(power[i]);
+      sum += shape[i - first];
+    }
+    shape.forEach((magnitude, i) => (shape[i] = sum > 0 ? magnitude / sum : 0));
+
+    const previous = this.previousSpectrum;
+
+    // Both frames must stand out: background noise changes randomly all the time
+    let flux = 0;
+    if (previous && previous.shape.length === shape.length) {
+      let difference = 0;
+      for (let i = 0; i < shape.length; i++) {
+        difference += Math.abs(shape[i] - previous.shape[i]);
+      }
+      flux = (Math.min(weight, previous.weight) * difference) / 2;
+    }
+    this.previousSpectrum = { shape, weight, flux };
+
+    // Speech keeps changing from frame to frame; a sound switching on or off changes the spectrum just once
+    const sustainedFlux = Math.min(flux, previous?.flux ?? 0);
+    const alpha = 1 - Math.exp(-durationMs / VAD_FLUX_AVERAGE_MS);
+    this.spectralFlux += alpha * (sustainedFlux - this.spectralFlux);
+    return this.spectralFlux;
+  }
+
+  /**
+   * First and last power spectrum bins inside VAD_SPEECH_BAND_HZ
+   */
+  _speechBandBins(power) {
+    const binHz = this.sampleRate / (power.length * 2);
+    const first = Math.max(1, Math.floor(VAD_SPEECH_BAND_HZ[0] / binHz));
+    const last = Math.min(power.length - 1, Math.ceil(VAD_SPEECH_BAND_HZ[1] / binHz));
+    return [first, last];
+  }
+
+  /**
+   * Hann-windowed power spectrum (frame zero-padded to a power of two)
+   * @returns {Float64Array} - Power of bins 0..N/2-1
+   */
+  _powerSpectrum(samples) {
+    let size = 1;
+    while (size < samples.length) size *= 2;
+
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    for (let i = 0; i < samples.length; i++) {
+      real[i] = samples[i] * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / Math.max(1, samples.length - 1)));
+    }
+
+    VoiceActivityDetector.fft(real, imag);
+
+    const power = new Float64Array(size / 2);
+    for (let i = 0; i < power.length; i++) {
+      power[i] = real[i] * real[i] + imag[i] * imag[i];
+    }
+    return power;
+  }
+
+  /**
+   * In-place iterative radix-2 FFT
+   * @param {Float64Array} real - Real parts; length must be a power of two
+   * @param {Float64Array} imag - Imaginary parts, same length
+   */
+  static fft(real, imag) {
+    const size = real.length;
+    for (let i = 1, j = 0; i < size; i++) {
+      let bit = size >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+    for (let length = 2; length <= size; length *= 2) {
+      const angle = (-2 * Math.PI) / length;
+      for (let start = 0; start < size; start += length) {
+        for (let k = 0; k < length / 2; k++) {
+          const cos = Math.cos(angle * k);
+          const sin = Math.sin(angle * k);
+          const a = start + k;
+          const b = a + length / 2;
+          const tReal = real[b] * cos - imag[b] * sin;
+          const tImag = real[b] * sin + imag[b] * cos;
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
+        }
+      }
+    }
+  }
+
+  _sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+  }
+}
+
+// Export for use in other modules (and offline tests in Node)
+// globalThis is the window in pages and the AudioWorkletGlobalScope in audio-analysis-processor.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = VoiceActivityDetector;
+} else {
+  globalThis.VoiceActivityDetector = VoiceActivityDetector;
+}